@@ -1,56 +1,32 @@
 // Main Test Runner
 
 // Core dependencies
+const path = require("path");
+const fs = require("fs-extra");
 const chalk = require("chalk");
 
 // Project modules
 const TestOrchestrator = require("./utils/testOrchestrator");
 const TestRunner = require("./utils/testRunner");
+const { startFixtureServer } = require("./utils/fixtureServer");
+const { parseCliArgs, buildRunConfig, formatHelp } = require("./utils/cli");
+const { loadConfig } = require("./utils/configLoader");
+const { HNApiMonitor, displayMonitorSummary } = require("./tests/api/apiMonitor");
 
-// Environment variable validation utilities
-const validateSlowMo = (value) => {
-  const parsed = parseInt(value) || 0;
-  // Bound between 0 and 5000ms to prevent DoS
-  return Math.max(0, Math.min(5000, parsed));
-};
-
-const validateHeadless = (value) => {
-  return value === "true";
-};
+// ================================================================
+// TARGET RESOLUTION
+// ================================================================
+// Start the offline fixture server when requested and point every suite at it
+const resolveTarget = async (config) => {
+  if (!config.target?.offline) return null;
 
-// Configuration for test execution
-const TEST_CONFIG = {
-  targetArticleCount: 100,
-  browsers: ["chromium", "firefox"], // Multi-browser testing for comprehensive QA coverage
-  viewports: [
-    { name: "Desktop", width: 1920, height: 1080 },
-    { name: "Tablet", width: 768, height: 1024 },
-    { name: "Mobile", width: 375, height: 667 },
-  ],
-  timeouts: {
-    navigation: 30000,
-    element: 15000,
-    test: 120000,
-  },
-  // Browser-specific timeout adjustments
-  browserTimeouts: {
-    chromium: { navigation: 30000, element: 15000 },
-    firefox: { navigation: 35000, element: 20000 }, // Firefox can be slower
-  },
-  thresholds: {
-    sortingAccuracy: 20, // Realistic threshold based on actual HN cross-page sorting behavior
-    performance: 5000, // Max 5 second page load
-    dataCompleteness: 90, // Min 90% data completeness
-  },
-  retry: {
-    maxAttempts: 3,
-    backoffMs: 1000,
-  },
-  browser: {
-    headless: validateHeadless(process.env.HEADLESS), // Validated boolean conversion
-    slowMo: validateSlowMo(process.env.SLOWMO), // Bounded and validated slowMo value
-    skipUnavailable: true, // Skip browsers that aren't installed
-  },
+  const fixtureServer = await startFixtureServer();
+  config.target.baseUrl = fixtureServer.baseUrl;
+  config.target.apiBaseUrl = fixtureServer.apiBaseUrl;
+  console.log(
+    chalk.yellow(`🔌 Offline mode: using fixture at ${fixtureServer.baseUrl}`)
+  );
+  return fixtureServer;
 };
 
 // ================================================================
@@ -58,30 +34,96 @@ const TEST_CONFIG = {
 // ================================================================
 const runComprehensiveValidation = async (orchestrator, testRunner) => {
   return await orchestrator.runComprehensiveValidation(
-    (browserName, viewport) => testRunner.runSingleTest(browserName, viewport)
+    (browserName, viewport, browser) =>
+      testRunner.runListingTests(browserName, viewport, browser)
   );
 };
 
+// ================================================================
+// API MONITOR
+// ================================================================
+// Follow the API for the configured duration and write monitor-results.json
+const runMonitor = async (config) => {
+  const results = await new HNApiMonitor(config).run();
+  displayMonitorSummary(results);
+
+  const outputPath = path.join(config.output.dir, "monitor-results.json");
+  await fs.ensureDir(config.output.dir);
+  await fs.writeJson(outputPath, results, { spaces: 2 });
+  console.log(chalk.gray(`📄 Monitor results: ${outputPath}`));
+  return results;
+};
+
 // ================================================================
 // APPLICATION ENTRY POINT
 // ================================================================
-const main = async () => {
+const main = async (argv = process.argv.slice(2)) => {
+  // Parse command-line options, load the config file profile and apply CLI overrides
+  let config;
+  let command;
   try {
+    const cli = parseCliArgs(argv);
+    command = cli.command;
+    const fileConfig = loadConfig({
+      configPath: cli.configPath,
+      profile: cli.profile,
+    });
+
+    if (cli.help) {
+      console.log(formatHelp(fileConfig));
+      process.exit(0);
+    }
+
+    config = buildRunConfig(fileConfig, cli.options);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    console.error(chalk.gray("Run with --help to see available options."));
+    process.exit(2);
+  }
+
+  console.log(
+    chalk.gray(
+      `⚙️  Config: ${config.configFile}` +
+        (config.profile ? ` (profile: ${config.profile})` : "") +
+        (config.envOverrides.length > 0
+          ? ` - env overrides: ${config.envOverrides.join(", ")}`
+          : "")
+    )
+  );
+
+  let fixtureServer = null;
+  try {
+    fixtureServer = await resolveTarget(config);
+
+    if (command === "monitor") {
+      const results = await runMonitor(config);
+      await fixtureServer?.close();
+      process.exit(results.status === "FAIL" ? 1 : 0);
+    }
+
     // Create single instances for the entire test run
-    const orchestrator = new TestOrchestrator(TEST_CONFIG);
-    const testRunner = new TestRunner(TEST_CONFIG);
+    const orchestrator = new TestOrchestrator(config);
+    const testRunner = new TestRunner(config);
 
     // Run comprehensive validation
-    await runComprehensiveValidation(orchestrator, testRunner);
+    const passed = await runComprehensiveValidation(orchestrator, testRunner);
 
     // Run edge case tests with same orchestrator instance
-    await orchestrator.runEdgeCaseTests();
+    if (orchestrator.isSuiteEnabled("edge")) {
+      await orchestrator.runEdgeCaseTests();
+    }
 
-    console.log(chalk.green.bold("\n🎉 All tests completed successfully!"));
-    process.exit(0);
+    if (passed) {
+      console.log(chalk.green.bold("\n🎉 All tests completed successfully!"));
+    } else {
+      console.log(chalk.red.bold("\n❌ Tests completed with failures - see the summary above"));
+    }
+    await fixtureServer?.close();
+    process.exit(passed ? 0 : 1);
   } catch (error) {
     console.error(chalk.red.bold("\n💥 Test suite failed:"), error.message);
     console.error(chalk.red("Stack trace:"), error.stack);
+    await fixtureServer?.close();
     process.exit(1);
   }
 };
@@ -94,4 +136,6 @@ if (require.main === module) {
 module.exports = {
   main,
   runComprehensiveValidation,
+  runMonitor,
+  resolveTarget,
 };
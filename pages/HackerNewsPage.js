@@ -1,9 +1,74 @@
 const moment = require('moment');
+const { compareListingOrder } = require('../utils/validationUtils');
+const { resolveListing } = require('../utils/listings');
+const { SelectorHealthMonitor } = require('../utils/selectorHealth');
+
+// Live Hacker News origin, used unless a different target (e.g. the offline fixture) is supplied
+const HN_BASE_URL = 'https://news.ycombinator.com';
+
+// Title link selectors tried in order by the batch reader; the first is HN's current markup
+const BATCH_TITLE_SELECTORS = ['.titleline > a', '.storylink', '.titlelink'];
+
+// Labels for the per-element title strategies in extractArticleData, in the same order
+const TITLE_STRATEGY_LABELS = [
+  'external link in row',
+  '.storylink, .titlelink in row',
+  'http link in row',
+  'next row .storylink',
+  'next row .storylink (firefox)'
+];
+
+// HN's `.age` title attribute carries whole-second timestamps
+const ABSOLUTE_PRECISION_MS = 1000;
+
+// HN floors relative ages, so "3 hours ago" means anywhere in the hour before that
+const RELATIVE_PRECISION_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+};
+
+// Runs in the browser: read listing rows (.athing plus the subtext row after it).
+// Self-contained so it can be passed to $$eval for a page or evaluate() for one row.
+const readArticleRows = (rowOrRows, titleSelectors) => {
+  const rows = Array.isArray(rowOrRows) ? rowOrRows : [rowOrRows];
+  return rows.map(row => {
+    const subtext = row.nextElementSibling;
+    const titleStrategy = titleSelectors.findIndex(selector => row.querySelector(selector));
+    const titleLink = titleStrategy >= 0 ? row.querySelector(titleSelectors[titleStrategy]) : null;
+    const age = subtext?.querySelector('.age');
+    const commentsLink = Array.from(subtext?.querySelectorAll('a') || [])
+      .find(link => /comment|discuss/i.test(link.textContent));
+    const commentsText = commentsLink?.textContent.replace(/\u00a0/g, ' ') || '';
+    const scoreElement = subtext?.querySelector('.score');
+    const markerText = `${row.textContent} ${subtext?.textContent || ''}`;
+
+    return {
+      id: row.id || null,
+      titleStrategy,
+      rank: parseInt(row.querySelector('.rank')?.textContent, 10) || null,
+      title: titleLink?.textContent.trim() || null,
+      url: titleLink?.getAttribute('href') || null,
+      site: row.querySelector('.sitestr')?.textContent.trim() || null,
+      hasScore: Boolean(scoreElement),
+      score: parseInt(scoreElement?.textContent, 10) || 0,
+      author: subtext?.querySelector('.hnuser')?.textContent.trim() || null,
+      ageText: age?.textContent.trim() || '',
+      ageTitle: age?.getAttribute('title') || null,
+      commentCount: commentsLink ? parseInt(commentsText, 10) || 0 : null,
+      isDead: /\[dead\]/i.test(markerText),
+      isFlagged: /\[flagged\]/i.test(markerText)
+    };
+  });
+};
 
 class HackerNewsPage {
-  constructor(page, browserName = 'chromium') {
+  constructor(page, browserName = 'chromium', options = {}) {
     this.page = page;
     this.browserName = browserName;
+    this.baseUrl = options.baseUrl || HN_BASE_URL;
     
     // Selectors with browser-specific fallbacks
     this.selectors = {
@@ -16,6 +81,9 @@ class HackerNewsPage {
       commentsLink: 'a[href*="item?id"]',
       moreLink: '.morelink',
       loadingIndicator: '.loading',
+      userLink: '#me',
+      logoutLink: '#logout',
+      voteArrows: '.votelinks a[id^="up_"]',
     };
     
     // Browser-specific selector strategies
@@ -24,10 +92,24 @@ class HackerNewsPage {
         // Firefox sometimes needs more specific selectors
         articleRows: '.athing, tr[id^="thing"]',
         articleTitle: '.storylink, .titlelink',
+      },
+      webkit: {
+        // WebKit matches the current markup (.titleline) before the legacy class names
+        articleRows: '.athing, tr[id^="thing"]',
+        articleTitle: '.titleline > a, .storylink, .titlelink',
+        moreLink: '.morelink, a[rel="next"]',
       }
     };
     
-    this.url = 'https://news.ycombinator.com/newest';
+    // Which listing this page object reads (newest, news, ask, show, jobs, best, front?day=)
+    this.listing = resolveListing(options.listing);
+    this.url = `${this.baseUrl}/${this.listing.path}`;
+
+    // Per-page extraction timings from the last getArticleElements() call
+    this.extractionTimings = [];
+
+    // Which selector strategy each lookup needed, to spot HN markup drift early
+    this.selectorHealth = new SelectorHealthMonitor();
   }
 
   // Get browser-specific selector
@@ -41,12 +123,13 @@ class HackerNewsPage {
     const timeouts = {
       chromium: { default: 15000, navigation: 30000, element: 15000 },
       firefox: { default: 20000, navigation: 35000, element: 20000 },
+      webkit: { default: 20000, navigation: 40000, element: 20000 },
     };
     return timeouts[this.browserName]?.[operation] || timeouts.chromium[operation];
   }
 
-  // Navigate to the newest page with performance monitoring and retry logic
-  async navigateToNewest() {
+  // Navigate to the listing page with performance monitoring and retry logic
+  async navigateToListing() {
     const startTime = Date.now();
     
     // Enhanced navigation with retry logic
@@ -79,6 +162,11 @@ class HackerNewsPage {
     
     throw new Error(`Failed to navigate after ${maxRetries} attempts: ${lastError.message}`);
   }
+
+  // Kept for callers written before listings were configurable
+  async navigateToNewest() {
+    return this.navigateToListing();
+  }
   
   // Robust waiting for articles with browser-specific strategies
   async waitForArticles() {
@@ -86,7 +174,7 @@ class HackerNewsPage {
     const fallbackSelectors = ['.athing', 'tr[id^="thing"]', '[id*="thing"]'];
     const allSelectors = [primarySelector, ...fallbackSelectors];
     
-    for (const selector of allSelectors) {
+    for (const [index, selector] of allSelectors.entries()) {
       try {
         await this.page.waitForSelector(selector, { 
           timeout: this.getBrowserTimeout('element'),
@@ -122,12 +210,14 @@ class HackerNewsPage {
         }
         
         console.log(`Articles loaded using selector: ${selector} (${this.browserName})`);
+        this.selectorHealth.record('articleRows', allSelectors, index);
         return;
       } catch (error) {
         console.log(`Selector ${selector} failed on ${this.browserName}, trying next...`);
       }
     }
     
+    this.selectorHealth.record('articleRows', allSelectors, -1);
     throw new Error(`Could not find articles with any known selector on ${this.browserName}`);
   }
 
@@ -136,6 +226,7 @@ class HackerNewsPage {
     console.log(`    Loading ${count} articles from multiple pages...`);
     
     let allArticleData = [];
+    this.extractionTimings = [];
     let currentUrl = this.url;
     let pageNum = 1;
     const maxPages = 5; // Should be enough to get 100+ articles
@@ -163,16 +254,21 @@ class HackerNewsPage {
             await this.waitForArticles();
           }
           
-          const pageArticles = await this.page.$$(this.getSelector('articleRows'));
-          console.log(`    📄 Page ${pageNum}: Found ${pageArticles.length} articles`);
-          
-          // Extract data from articles on this page with parallel processing
-          const articlePromises = [];
-          for (let i = 0; i < pageArticles.length && allArticleData.length < count; i++) {
-            articlePromises.push(this.extractArticleData(pageArticles[i]));
-          }
+          // Extract every row on this page in one in-page pass
+          const extractionStart = Date.now();
+          const { articles: pageArticleData, rowCount, fallbackCount } = await this.extractPageArticles();
+          const extractionTime = Date.now() - extractionStart;
+          this.extractionTimings.push({
+            page: pageNum,
+            rows: rowCount,
+            fallbackRows: fallbackCount,
+            durationMs: extractionTime
+          });
+          console.log(
+            `    📄 Page ${pageNum}: Found ${rowCount} articles, extracted in ${extractionTime}ms` +
+            (fallbackCount > 0 ? ` (${fallbackCount} via per-element fallback)` : '')
+          );
           
-          const pageArticleData = await Promise.all(articlePromises);
           const validArticles = pageArticleData.filter(article => article && article.timestamp);
           
           allArticleData.push(...validArticles.slice(0, count - allArticleData.length));
@@ -203,7 +299,7 @@ class HackerNewsPage {
         if (moreLink) {
           const moreHref = await moreLink.getAttribute('href');
           if (moreHref) {
-            currentUrl = `https://news.ycombinator.com/${moreHref}`;
+            currentUrl = `${this.baseUrl}/${moreHref}`;
             pageNum++;
           } else {
             console.log(`    No more pages available (no href) - ${this.browserName}`);
@@ -276,7 +372,83 @@ class HackerNewsPage {
     }
   }
 
-  // Extract comprehensive article data with enhanced error handling
+  // Read every article row on the current page in a single round trip. Rows the batch pass
+  // can't fully read (no id, title or age) go through extractArticleData() instead.
+  async extractPageArticles() {
+    const rows = await this.page.$$eval(
+      this.getSelector('articleRows'),
+      readArticleRows,
+      BATCH_TITLE_SELECTORS
+    );
+
+    rows.forEach(row => {
+      this.selectorHealth.record('title', BATCH_TITLE_SELECTORS, row.titleStrategy);
+      this.selectorHealth.record('age', ['.age'], row.ageText ? 0 : -1);
+    });
+
+    let fallbackCount = 0;
+    const articles = await Promise.all(rows.map(async row => {
+      const resolvedTimestamp = row.id && row.title
+        ? this.resolveTimestamp(row.ageText, row.ageTitle)
+        : null;
+
+      this.selectorHealth.record('batchRow', ['batch reader', 'per-element fallback'], resolvedTimestamp ? 0 : 1);
+      if (resolvedTimestamp) {
+        return {
+          id: row.id,
+          rank: row.rank,
+          title: row.title,
+          url: row.url,
+          site: row.site,
+          score: row.score,
+          author: row.author,
+          commentCount: row.commentCount,
+          ...this.classifyArticle(row),
+          timestampText: row.ageText,
+          ...resolvedTimestamp,
+          rawTimestamp: row.ageText,
+          extractionMethod: 'batch',
+          extractionAttempt: 1
+        };
+      }
+
+      fallbackCount++;
+      const element = row.id ? await this.page.$(`tr[id="${row.id}"]`) : null;
+      const article = element ? await this.extractArticleData(element) : null;
+      return article ? { ...article, extractionMethod: 'fallback' } : null;
+    }));
+
+    return { articles, rowCount: rows.length, fallbackCount };
+  }
+
+  // Read one article row (and its subtext row) with the batch reader
+  async readArticleRow(rowElement) {
+    const [row] = await rowElement.evaluate(readArticleRows, BATCH_TITLE_SELECTORS);
+    return row;
+  }
+
+  // Selector strings with the article id swapped for a placeholder, so lookups aggregate across rows
+  toSelectorLabels(selectors, articleId) {
+    return selectors.map(selector => selector.split(articleId).join('{id}'));
+  }
+
+  // Item type and moderation state. Jobs have neither a score nor an author;
+  // Show/Ask HN are recognised by their title prefix.
+  classifyArticle({ title, author, hasScore, isDead, isFlagged }) {
+    const isJob = !hasScore && !author;
+    let type = 'story';
+    if (isJob) {
+      type = 'job';
+    } else if (/^show hn\b/i.test(title || '')) {
+      type = 'show';
+    } else if (/^ask hn\b/i.test(title || '')) {
+      type = 'ask';
+    }
+
+    return { type, isJob, isDead: Boolean(isDead), isFlagged: Boolean(isFlagged) };
+  }
+
+  // Extract comprehensive article data with enhanced error handling (per-element fallback path)
   async extractArticleData(articleElement) {
     const maxRetries = 2;
     let lastError;
@@ -305,7 +477,8 @@ class HackerNewsPage {
             : null
         ];
         
-        for (const strategy of titleStrategies) {
+        let titleStrategyIndex = -1;
+        for (const [index, strategy] of titleStrategies.entries()) {
           try {
             const element = await strategy();
             if (element) {
@@ -326,6 +499,7 @@ class HackerNewsPage {
                 titleElement = element;
                 title = extractedTitle.trim();
                 url = extractedUrl;
+                titleStrategyIndex = index;
                 break;
               }
             }
@@ -335,6 +509,8 @@ class HackerNewsPage {
           }
         }
         
+        this.selectorHealth.record('fallbackTitle', TITLE_STRATEGY_LABELS, titleStrategyIndex);
+        
         // Last resort: debug logging for Firefox
         if (title === 'No title' && this.browserName === 'firefox') {
           try {
@@ -384,18 +560,21 @@ class HackerNewsPage {
           `.athing[id="${articleId}"] + tr .score`
         ];
         
-        for (const scoreSelector of scoreSelectors) {
+        let scoreStrategyIndex = -1;
+        for (const [index, scoreSelector] of scoreSelectors.entries()) {
           try {
             const scoreElement = await this.page.$(scoreSelector);
             if (scoreElement) {
               const scoreText = await scoreElement.textContent();
               score = parseInt(scoreText.replace(' points', '')) || 0;
+              scoreStrategyIndex = index;
               break;
             }
           } catch (e) {
             continue;
           }
         }
+        this.selectorHealth.record('fallbackScore', this.toSelectorLabels(scoreSelectors, articleId), scoreStrategyIndex);
         
         if (score === null) {
           score = 0; // Default for articles without scores
@@ -403,47 +582,66 @@ class HackerNewsPage {
         
         // Extract author with fallback selectors
         let author = null;
-        for (const selector of authorSelectors) {
+        let authorStrategyIndex = -1;
+        for (const [index, selector] of authorSelectors.entries()) {
           try {
             const authorElement = await this.page.$(selector);
             if (authorElement) {
               author = await authorElement.textContent();
+              authorStrategyIndex = index;
               break;
             }
           } catch (e) {
             // Continue to next selector
           }
         }
+        this.selectorHealth.record('fallbackAuthor', this.toSelectorLabels(authorSelectors, articleId), authorStrategyIndex);
         
         // Extract timestamp - critical for sorting validation
-        let timestamp = null;
+        let resolvedTimestamp = null;
         let timestampText = '';
-        for (const selector of timestampSelectors) {
+        let timestampStrategyIndex = -1;
+        for (const [index, selector] of timestampSelectors.entries()) {
           try {
             const timestampElement = await this.page.$(selector);
             if (timestampElement) {
               timestampText = await timestampElement.textContent();
-              timestamp = this.parseHackerNewsTimestamp(timestampText);
-              if (timestamp) break; // Use first valid timestamp
+              const titleAttribute = await timestampElement.getAttribute('title');
+              resolvedTimestamp = this.resolveTimestamp(timestampText, titleAttribute);
+              if (resolvedTimestamp) {
+                timestampStrategyIndex = index;
+                break; // Use first valid timestamp
+              }
             }
           } catch (e) {
             // Continue to next selector
           }
         }
+        this.selectorHealth.record('fallbackTimestamp', this.toSelectorLabels(timestampSelectors, articleId), timestampStrategyIndex);
         
         // Validate extracted data
-        if (!timestamp) {
+        if (!resolvedTimestamp) {
           throw new Error(`No valid timestamp found for article ${articleId}`);
         }
+        const { timestamp, timestampPrecision, timestampSource } = resolvedTimestamp;
+
+        // Rank, site, comment count and markers come from the same in-page reader as the batch path
+        const rowDetails = await this.readArticleRow(articleElement);
         
         return {
           id: articleId,
+          rank: rowDetails.rank,
           title: title.trim(),
           url,
+          site: rowDetails.site,
           score,
           author,
+          commentCount: rowDetails.commentCount,
+          ...this.classifyArticle({ ...rowDetails, title }),
           timestampText,
           timestamp,
+          timestampPrecision,
+          timestampSource,
           rawTimestamp: timestampText,
           extractionAttempt: attempt
         };
@@ -460,6 +658,49 @@ class HackerNewsPage {
     return null;
   }
 
+  // Resolve an article's publication time: the exact `.age` title attribute when present,
+  // otherwise the relative text with a precision window covering its rounding
+  resolveTimestamp(timestampText, titleAttribute = null) {
+    const absolute = this.parseAbsoluteTimestamp(titleAttribute);
+    if (absolute) {
+      return {
+        timestamp: absolute,
+        timestampPrecision: ABSOLUTE_PRECISION_MS,
+        timestampSource: 'absolute'
+      };
+    }
+
+    const relative = this.parseHackerNewsTimestamp(timestampText);
+    if (!relative) return null;
+
+    return {
+      timestamp: relative,
+      timestampPrecision: this.getRelativeTimestampPrecision(timestampText),
+      timestampSource: 'relative'
+    };
+  }
+
+  // Parse the `.age` title attribute, e.g. "2025-10-09T18:13:20 1760033600" (UTC ISO time, unix seconds)
+  parseAbsoluteTimestamp(titleAttribute) {
+    if (!titleAttribute) return null;
+
+    const parts = titleAttribute.trim().split(/\s+/);
+    const unixSeconds = parts.find(part => /^\d{9,11}$/.test(part));
+    if (unixSeconds) {
+      return new Date(Number(unixSeconds) * 1000);
+    }
+
+    // ISO without an offset is UTC on HN
+    const parsed = moment.utc(parts[0], moment.ISO_8601, true);
+    return parsed.isValid() ? parsed.toDate() : null;
+  }
+
+  // Width (ms) of the window a relative age like "3 hours ago" could fall in
+  getRelativeTimestampPrecision(timestampText) {
+    const match = (timestampText || '').toLowerCase().match(/(minute|hour|day|month|year)s?\s*ago/);
+    return match ? RELATIVE_PRECISION_MS[match[1]] : RELATIVE_PRECISION_MS.minute;
+  }
+
   // Parse HN timestamp format (e.g., "2 hours ago", "1 day ago", "just now")
   parseHackerNewsTimestamp(timestampText) {
     if (!timestampText) return null;
@@ -499,10 +740,11 @@ class HackerNewsPage {
     }
   }
 
-  // Validate that articles are sorted from newest to oldest
+  // Validate that articles follow the listing's ordering rule (newest first on /newest)
   async validateSorting(articles) {
     const results = {
       isValid: true,
+      ordering: this.listing.ordering,
       totalArticles: articles.length,
       invalidPairs: [],
       timestamps: [],
@@ -529,8 +771,8 @@ class HackerNewsPage {
         text: current.timestampText
       });
       
-      // Current article should be newer (timestamp should be greater)
-      if (current.timestamp < next.timestamp) {
+      // Current article should come first under the listing's rule, allowing for precision windows
+      if (compareListingOrder(current, next, this.listing) === 'incorrect') {
         results.isValid = false;
         results.invalidPairs.push({
           position: i,
@@ -555,6 +797,24 @@ class HackerNewsPage {
     return results;
   }
 
+  // Logged-in state of the current page: the top bar's user menu and how many vote arrows
+  // carry the session's `auth` token (HN adds it to every vote link once logged in)
+  async getSessionState() {
+    return await this.page.evaluate(({ userLink, logoutLink, voteArrows }) => {
+      const links = Array.from(document.querySelectorAll(voteArrows));
+      return {
+        username: document.querySelector(userLink)?.textContent.trim() || null,
+        hasLogout: Boolean(document.querySelector(logoutLink)),
+        voteArrows: links.length,
+        voteArrowsWithAuth: links.filter(link => /[?&]auth=/.test(link.getAttribute('href') || '')).length
+      };
+    }, {
+      userLink: this.getSelector('userLink'),
+      logoutLink: this.getSelector('logoutLink'),
+      voteArrows: this.getSelector('voteArrows')
+    });
+  }
+
   // Take screenshot for debugging with retry logic
   async takeScreenshot(filename = 'hacker-news-debug.png') {
     const screenshotPath = `./reports/${filename}`;
@@ -0,0 +1,117 @@
+const HackerNewsPage = require('./HackerNewsPage');
+
+// HN indents each reply level with a 40px spacer image in the `.ind` cell
+const INDENT_WIDTH_PX = 40;
+
+// Runs in the browser: read every comment row of a discussion in document order
+const readCommentRows = (rows) => rows.map(row => {
+  const indentCell = row.querySelector('td.ind');
+  const spacer = indentCell?.querySelector('img');
+  const age = row.querySelector('.comhead .age');
+  const parentLink = Array.from(row.querySelectorAll('.comhead a'))
+    .find(link => link.textContent.trim().toLowerCase() === 'parent');
+  const parentMatch = parentLink?.getAttribute('href')?.match(/(?:item\?id=|#)(\d+)/);
+  const author = row.querySelector('.comhead .hnuser')?.textContent.trim() || null;
+  const headText = row.querySelector('.comhead')?.textContent || '';
+
+  return {
+    id: row.id || null,
+    author,
+    ageText: age?.textContent.trim() || '',
+    ageTitle: age?.getAttribute('title') || null,
+    indentWidth: spacer ? parseInt(spacer.getAttribute('width'), 10) : null,
+    indentAttribute: indentCell?.hasAttribute('indent') ? parseInt(indentCell.getAttribute('indent'), 10) : null,
+    parentId: parentMatch ? parentMatch[1] : null,
+    // Deleted comments keep their place in the tree but lose their author; dead ones are marked in the header
+    isDeleted: (!author && /\[deleted\]/i.test(row.textContent)) || /\[(dead|flagged)\]/i.test(headText)
+  };
+});
+
+// Discussion page (`item?id=`): the story header plus its comment tree
+class ItemPage extends HackerNewsPage {
+  constructor(page, browserName = 'chromium', options = {}) {
+    super(page, browserName, options);
+
+    this.selectors = {
+      ...this.selectors,
+      story: '.fatitem .athing',
+      commentRows: '.comtr',
+    };
+  }
+
+  getItemUrl(itemId) {
+    return `${this.baseUrl}/item?id=${itemId}`;
+  }
+
+  // Open an item's discussion and wait for the story header
+  async navigateToItem(itemId) {
+    const startTime = Date.now();
+    this.url = this.getItemUrl(itemId);
+
+    await this.page.goto(this.url, {
+      waitUntil: 'domcontentloaded',
+      timeout: this.getBrowserTimeout('navigation')
+    });
+    await this.page.waitForSelector(this.selectors.story, {
+      timeout: this.getBrowserTimeout('element'),
+      state: 'attached'
+    });
+
+    return Date.now() - startTime;
+  }
+
+  // Story header: title, author, publication time and the comment count in its subtext
+  async extractStory() {
+    const storyRow = await this.page.$(this.selectors.story);
+    if (!storyRow) {
+      throw new Error(`No story header on ${this.url}`);
+    }
+
+    const row = await this.readArticleRow(storyRow);
+    return {
+      id: row.id,
+      title: row.title,
+      author: row.author,
+      score: row.score,
+      commentCount: row.commentCount ?? 0,
+      ...this.resolveTimestamp(row.ageText, row.ageTitle),
+      timestampText: row.ageText
+    };
+  }
+
+  // Every rendered comment with its depth (from the spacer width, else the indent attribute)
+  async extractComments() {
+    const rows = await this.page.$$eval(this.selectors.commentRows, readCommentRows);
+
+    return rows.map((row, position) => {
+      const depthFromWidth = Number.isInteger(row.indentWidth) ? row.indentWidth / INDENT_WIDTH_PX : null;
+      const depth = Number.isInteger(depthFromWidth) ? depthFromWidth : row.indentAttribute;
+      this.selectorHealth.record(
+        'commentDepth',
+        ['.ind img width', '.ind[indent]'],
+        Number.isInteger(depthFromWidth) ? 0 : Number.isInteger(row.indentAttribute) ? 1 : -1
+      );
+
+      return {
+        id: row.id,
+        position,
+        author: row.author,
+        depth,
+        parentId: row.parentId,
+        isDeleted: row.isDeleted,
+        timestampText: row.ageText,
+        ...(this.resolveTimestamp(row.ageText, row.ageTitle) || { timestamp: null })
+      };
+    });
+  }
+
+  // Load an item and read its story header and comment tree
+  async getThread(itemId) {
+    const loadTime = await this.navigateToItem(itemId);
+    const story = await this.extractStory();
+    const comments = await this.extractComments();
+    return { itemId: String(itemId), url: this.url, loadTime, story, comments };
+  }
+}
+
+module.exports = ItemPage;
@@ -0,0 +1,100 @@
+const HackerNewsPage = require('./HackerNewsPage');
+
+// Text HN (and common rate limiters) show instead of the login form after repeated failures
+const RATE_LIMIT_PATTERN = /validation required|too many|rate limit|try again later/i;
+
+// Runs in the browser: what a form posts, where to, and whether it carries HN's `fnid` token
+const readForm = (form) => ({
+  action: form.getAttribute('action'),
+  method: (form.getAttribute('method') || 'get').toLowerCase(),
+  fields: Array.from(form.querySelectorAll('input, textarea')).map(field => ({
+    name: field.getAttribute('name'),
+    type: (field.getAttribute('type') || field.tagName).toLowerCase()
+  })),
+  hasFnid: Boolean(form.querySelector('input[name="fnid"]'))
+});
+
+// Login page (`login?goto=`): HN puts the login form first and the create-account form second
+class LoginPage extends HackerNewsPage {
+  constructor(page, browserName = 'chromium', options = {}) {
+    super(page, browserName, options);
+
+    this.selectors = {
+      ...this.selectors,
+      loginForm: 'form[action="login"]',
+      username: 'input[name="acct"]',
+      password: 'input[name="pw"]',
+      submitButton: 'input[type="submit"]',
+      recaptcha: '.g-recaptcha, iframe[src*="recaptcha"]'
+    };
+  }
+
+  getLoginUrl(gotoTarget = 'news') {
+    return `${this.baseUrl}/login?goto=${encodeURIComponent(gotoTarget)}`;
+  }
+
+  async navigateToLogin(gotoTarget = 'news') {
+    this.url = this.getLoginUrl(gotoTarget);
+    return await this.page.goto(this.url, {
+      waitUntil: 'domcontentloaded',
+      timeout: this.getBrowserTimeout('navigation')
+    });
+  }
+
+  // The login form as served, or null when the page has none
+  async readLoginForm() {
+    const form = this.page.locator(this.getSelector('loginForm')).first();
+    if (await form.count() === 0) return null;
+    return await form.evaluate(readForm);
+  }
+
+  // Every form on the current page (e.g. /submit once logged in)
+  async readForms() {
+    return await this.page.$$eval('form', forms => forms.map(form => ({
+      action: form.getAttribute('action'),
+      method: (form.getAttribute('method') || 'get').toLowerCase(),
+      hasFnid: Boolean(form.querySelector('input[name="fnid"]'))
+    })));
+  }
+
+  // Fill and submit the login form from a fresh login page. `status` is the POST's own status
+  // (302 on success); `message` is the text HN shows above the form ("Bad login.")
+  async submitLogin(username, password, gotoTarget = 'news') {
+    await this.navigateToLogin(gotoTarget);
+    const form = this.page.locator(this.getSelector('loginForm')).first();
+    await form.locator(this.getSelector('username')).fill(username);
+    await form.locator(this.getSelector('password')).fill(password);
+
+    const [response] = await Promise.all([
+      this.page.waitForResponse(
+        candidate => candidate.request().method() === 'POST' && new URL(candidate.url()).pathname.endsWith('/login'),
+        { timeout: this.getBrowserTimeout('navigation') }
+      ),
+      form.locator(this.getSelector('submitButton')).first().click()
+    ]);
+    await this.page.waitForLoadState('domcontentloaded');
+
+    // innerText keeps HN's <br> line breaks, so the first line is the message
+    const bodyText = (await this.page.innerText('body').catch(() => '')) || '';
+    const { username: session } = await this.getSessionState();
+    const hasRecaptcha = (await this.page.locator(this.getSelector('recaptcha')).count()) > 0;
+    return {
+      status: response.status(),
+      url: this.page.url(),
+      loggedIn: session !== null && session.toLowerCase() === username.toLowerCase(),
+      message: bodyText.trim().split('\n')[0].trim().slice(0, 200),
+      rateLimited: response.status() === 429 || hasRecaptcha || RATE_LIMIT_PATTERN.test(bodyText)
+    };
+  }
+
+  // Log in and confirm the user menu shows the account; throws with HN's message otherwise
+  async login(username, password, gotoTarget = 'news') {
+    const outcome = await this.submitLogin(username, password, gotoTarget);
+    if (!outcome.loggedIn) {
+      throw new Error(`Login as ${username} failed: ${outcome.message || `HTTP ${outcome.status}`}`);
+    }
+    return outcome;
+  }
+}
+
+module.exports = LoginPage;
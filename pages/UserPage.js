@@ -0,0 +1,112 @@
+const HackerNewsPage = require('./HackerNewsPage');
+
+// A created date read from the profile text is only good to the day
+const DAY_PRECISION_MS = 24 * 60 * 60 * 1000;
+
+// Runs in the browser: the profile table's "label: value" rows keyed by label
+const readProfileRows = (rows) => {
+  const fields = {};
+  rows.forEach(row => {
+    const cells = Array.from(row.children).filter(cell => cell.tagName === 'TD');
+    if (cells.length < 2) return;
+    const label = cells[0].textContent.trim();
+    if (!/^[a-z]+:$/i.test(label)) return;
+    fields[label.slice(0, -1).toLowerCase()] = {
+      text: cells[1].textContent.trim(),
+      timestamp: cells[1].getAttribute('timestamp'),
+      href: cells[1].querySelector('a')?.getAttribute('href') || null
+    };
+  });
+  return fields;
+};
+
+// User profile (`user?id=`) and submissions (`submitted?id=`) pages
+class UserPage extends HackerNewsPage {
+  getUserUrl(userId) {
+    return `${this.baseUrl}/user?id=${encodeURIComponent(userId)}`;
+  }
+
+  getSubmittedUrl(userId) {
+    return `${this.baseUrl}/submitted?id=${encodeURIComponent(userId)}`;
+  }
+
+  async navigateToUser(userId) {
+    const startTime = Date.now();
+    this.url = this.getUserUrl(userId);
+    await this.page.goto(this.url, {
+      waitUntil: 'domcontentloaded',
+      timeout: this.getBrowserTimeout('navigation')
+    });
+    return Date.now() - startTime;
+  }
+
+  // Created date, karma and about text; HN answers unknown users with "No such user."
+  async extractProfile(userId) {
+    const fields = await this.page.$$eval('tr', readProfileRows);
+    if (!fields.user) {
+      const bodyText = await this.page.textContent('body').catch(() => '');
+      return { id: userId, exists: false, reason: bodyText.trim().slice(0, 80) || 'No profile table' };
+    }
+
+    const created = this.parseCreated(fields.created, fields.user);
+    return {
+      id: fields.user.text || userId,
+      exists: true,
+      created: created?.date || null,
+      createdPrecision: created?.precision ?? null,
+      createdText: fields.created?.text || null,
+      karma: parseInt((fields.karma?.text || '').replace(/,/g, ''), 10),
+      about: fields.about?.text || ''
+    };
+  }
+
+  // Exact seconds from the user cell's `timestamp` attribute, else the day in the
+  // created link (front?day=YYYY-MM-DD), else the displayed date
+  parseCreated(createdField, userField) {
+    const unixSeconds = parseInt(userField?.timestamp, 10);
+    if (unixSeconds > 0) {
+      this.selectorHealth.record('userCreated', ['timestamp attribute', 'front?day= link', 'date text'], 0);
+      return { date: new Date(unixSeconds * 1000), precision: 1000 };
+    }
+
+    const day = createdField?.href?.match(/day=(\d{4}-\d{2}-\d{2})/)?.[1];
+    const fromText = Date.parse(`${createdField?.text} UTC`);
+    const strategy = day ? 1 : Number.isNaN(fromText) ? -1 : 2;
+    this.selectorHealth.record('userCreated', ['timestamp attribute', 'front?day= link', 'date text'], strategy);
+
+    if (strategy < 0) return null;
+    const dayStart = day ? Date.parse(`${day}T00:00:00Z`) : fromText;
+    // End of the day, so the precision window [date - precision, date] covers the whole day
+    return { date: new Date(dayStart + DAY_PRECISION_MS - 1), precision: DAY_PRECISION_MS };
+  }
+
+  // Story ids on the user's submissions pages, following More up to `maxPages`
+  async getSubmittedIds(userId, maxPages = 2) {
+    const ids = [];
+    let url = this.getSubmittedUrl(userId);
+
+    for (let pageNum = 1; url && pageNum <= maxPages; pageNum++) {
+      await this.page.goto(url, {
+        waitUntil: 'domcontentloaded',
+        timeout: this.getBrowserTimeout('navigation')
+      });
+      ids.push(...await this.page.$$eval('.athing', rows => rows.map(row => row.id).filter(Boolean)));
+
+      const moreHref = await this.page.$eval(this.getSelector('moreLink'), link => link.getAttribute('href'))
+        .catch(() => null);
+      url = moreHref ? `${this.baseUrl}/${moreHref}` : null;
+    }
+
+    return ids;
+  }
+
+  // Profile plus submissions for one author
+  async getUser(userId, maxSubmittedPages = 2) {
+    const loadTime = await this.navigateToUser(userId);
+    const profile = await this.extractProfile(userId);
+    const submittedIds = profile.exists ? await this.getSubmittedIds(userId, maxSubmittedPages) : [];
+    return { ...profile, url: this.getUserUrl(userId), loadTime, submittedIds };
+  }
+}
+
+module.exports = UserPage;
@@ -0,0 +1,295 @@
+// HN API Monitor - Follows maxitem and newstories in real time over Firebase streaming
+// and checks that new stories reach newstories in order and show up on /newest
+const chalk = require('chalk');
+const HNApiTester = require('./hnApiTests');
+const FirebaseEventStream = require('./firebaseStream');
+const HackerNewsPage = require('../../pages/HackerNewsPage');
+const { launchBrowser } = require('../../utils/browserUtils');
+const { logTestStep, summarizeDurations } = require('../../utils/testUtils');
+
+// Monitor defaults for settings missing from the config file `monitor` section
+const MONITOR_CONFIG = {
+  durationSeconds: 60,
+  uiDeadlineSeconds: 30, // A new story must be on /newest this long after it reached newstories
+  uiPollSeconds: 5,
+  checkUi: true,
+  browser: 'chromium',
+  reconnectDelayMs: 1000
+};
+
+// Events kept in the results; counters and latencies cover the whole run regardless
+const MAX_EVENTS = 200;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class HNApiMonitor {
+  constructor(config = {}) {
+    this.config = config;
+    this.settings = { ...MONITOR_CONFIG, ...config.monitor };
+    this.tester = new HNApiTester(config.api, config.target);
+    this.streams = [];
+    this.browser = null;
+    this.hnPage = null;
+
+    this.maxitemHistory = []; // { value, at } for every maxitem change
+    this.newstories = null;
+    this.newStories = new Map(); // id -> { appearedAt, maxitemSeenAt, posted, uiSeenAt }
+    this.pendingUi = new Map(); // id -> appearedAt, for stories not yet found on /newest
+    this.itemLookups = [];
+
+    this.results = {
+      startedAt: null,
+      finishedAt: null,
+      settings: this.settings,
+      apiBase: this.tester.apiBase,
+      maxitem: { initial: null, final: null, changes: 0 },
+      newStories: 0,
+      latency: { listingDelay: { count: 0 }, sincePosted: { count: 0 } },
+      outOfOrder: [],
+      ui: { enabled: this.settings.checkUi, polls: 0, pollErrors: 0, reflected: 0, missed: [], latency: { count: 0 }, error: null },
+      streams: {},
+      events: [],
+      status: 'PASS'
+    };
+  }
+
+  recordEvent(type, details = {}) {
+    if (this.results.events.length < MAX_EVENTS) {
+      this.results.events.push({ at: new Date().toISOString(), type, ...details });
+    }
+  }
+
+  // When maxitem first covered an id during this run; null for ids older than the run
+  maxitemSeenAt(id) {
+    const initial = this.maxitemHistory[0];
+    if (!initial || id <= initial.value) return null;
+    return this.maxitemHistory.find(entry => entry.value >= id)?.at ?? null;
+  }
+
+  handleMaxitem(value, receivedAt) {
+    if (!Number.isInteger(value)) return;
+    const last = this.maxitemHistory[this.maxitemHistory.length - 1];
+    if (last && last.value === value) return;
+
+    this.maxitemHistory.push({ value, at: receivedAt });
+    if (last) {
+      this.results.maxitem.changes++;
+      this.recordEvent('maxitem', { value, newIds: value - last.value });
+    }
+  }
+
+  // Firebase sends lists as arrays, or as objects keyed by index after child removals
+  handleNewstories(value, receivedAt) {
+    const ids = (Array.isArray(value) ? value : Object.values(value || {}))
+      .filter(id => Number.isInteger(id));
+    const previous = this.newstories;
+    this.newstories = ids;
+    if (!previous) return; // First put is the baseline
+
+    const known = new Set(previous);
+    ids.forEach((id, position) => {
+      if (known.has(id) || this.newStories.has(id)) return;
+      this.handleNewStory(id, position, ids, receivedAt);
+    });
+  }
+
+  handleNewStory(id, position, ids, appearedAt) {
+    const story = { appearedAt, maxitemSeenAt: this.maxitemSeenAt(id), posted: null, uiSeenAt: null };
+    this.newStories.set(id, story);
+    this.results.newStories++;
+    this.recordEvent('new_story', { id, position });
+
+    // newstories is newest first, so every neighbour above must be larger and every one below smaller
+    const previousId = ids[position - 1];
+    const nextId = ids[position + 1];
+    if ((previousId !== undefined && previousId < id) || (nextId !== undefined && nextId > id)) {
+      const insertion = { id, position, previousId: previousId ?? null, nextId: nextId ?? null };
+      this.results.outOfOrder.push(insertion);
+      this.recordEvent('out_of_order', insertion);
+      logTestStep(`Story ${id} inserted out of order at position ${position}`, 'warning');
+    }
+
+    if (this.hnPage) this.pendingUi.set(id, appearedAt);
+
+    // Posting time comes from the item itself; the lookup finishes in the background
+    this.itemLookups.push(
+      this.tester.client.getItem(id)
+        .then(item => { story.posted = item?.time ? item.time * 1000 : null; })
+        .catch(() => {})
+    );
+  }
+
+  async openStream(name, url, onValue) {
+    const stats = { url, connected: false, error: null };
+    this.results.streams[name] = stats;
+
+    const stream = new FirebaseEventStream(url, {
+      onValue,
+      reconnectDelayMs: this.settings.reconnectDelayMs,
+      onError: error => {
+        this.recordEvent('stream_error', { stream: name, message: error.message });
+        logTestStep(`${name} stream: ${error.message}`, 'warning');
+      }
+    });
+
+    try {
+      await stream.open();
+      stats.connected = true;
+      this.streams.push({ name, stream });
+    } catch (error) {
+      stats.error = error.message;
+      logTestStep(`Could not subscribe to ${name}: ${error.message}`, 'error');
+    }
+  }
+
+  // A browser that fails to start leaves the monitor running API-only
+  async startBrowser() {
+    if (!this.settings.checkUi) return;
+    try {
+      this.browser = await launchBrowser(this.settings.browser, this.config);
+      const page = await this.browser.newPage();
+      this.hnPage = new HackerNewsPage(page, this.settings.browser, {
+        baseUrl: this.config.target?.baseUrl,
+        listing: 'newest'
+      });
+    } catch (error) {
+      this.results.ui.error = error.message;
+      logTestStep(`UI check disabled: ${error.message}`, 'warning');
+    }
+  }
+
+  // Load /newest once and settle every pending story that is listed or past its deadline
+  async checkUi() {
+    if (!this.hnPage || this.pendingUi.size === 0) return;
+    const { page } = this.hnPage;
+    const deadlineMs = this.settings.uiDeadlineSeconds * 1000;
+
+    let listed;
+    try {
+      await page.goto(this.hnPage.url, {
+        waitUntil: 'domcontentloaded',
+        timeout: this.hnPage.getBrowserTimeout('navigation')
+      });
+      const ids = await page.$$eval(this.hnPage.getSelector('articleRows'), rows => rows.map(row => Number(row.id)));
+      listed = new Set(ids);
+      this.results.ui.polls++;
+    } catch (error) {
+      this.results.ui.pollErrors++;
+      logTestStep(`/newest poll failed: ${error.message}`, 'warning');
+      listed = new Set();
+    }
+
+    const seenAt = Date.now();
+    this.pendingUi.forEach((appearedAt, id) => {
+      if (listed.has(id)) {
+        this.newStories.get(id).uiSeenAt = seenAt;
+        this.results.ui.reflected++;
+        this.pendingUi.delete(id);
+        this.recordEvent('ui_reflected', { id, latencyMs: seenAt - appearedAt });
+      } else if (seenAt - appearedAt > deadlineMs) {
+        this.results.ui.missed.push({ id, waitedMs: seenAt - appearedAt });
+        this.pendingUi.delete(id);
+        this.recordEvent('ui_missed', { id });
+        logTestStep(`Story ${id} not on /newest within ${this.settings.uiDeadlineSeconds}s`, 'warning');
+      }
+    });
+  }
+
+  async stop() {
+    this.streams.forEach(({ stream }) => stream.close());
+    this.results.streams = Object.fromEntries(
+      Object.entries(this.results.streams).map(([name, stats]) => {
+        const stream = this.streams.find(entry => entry.name === name)?.stream;
+        return [name, { ...stats, ...stream?.stats }];
+      })
+    );
+    if (this.browser) await this.browser.close().catch(() => {});
+  }
+
+  summarize() {
+    const stories = [...this.newStories.values()];
+    const { results } = this;
+
+    results.maxitem.initial = this.maxitemHistory[0]?.value ?? null;
+    results.maxitem.final = this.maxitemHistory[this.maxitemHistory.length - 1]?.value ?? null;
+    results.latency = {
+      // From maxitem covering the id to the id being listed in newstories
+      listingDelay: summarizeDurations(stories
+        .filter(story => story.maxitemSeenAt !== null)
+        .map(story => story.appearedAt - story.maxitemSeenAt)),
+      // From the item's own `time` (one-second resolution) to being listed
+      sincePosted: summarizeDurations(stories
+        .filter(story => story.posted !== null)
+        .map(story => story.appearedAt - story.posted))
+    };
+    results.ui.latency = summarizeDurations(stories
+      .filter(story => story.uiSeenAt !== null)
+      .map(story => story.uiSeenAt - story.appearedAt));
+
+    const disconnected = Object.values(results.streams).some(stream => !stream.connected);
+    if (disconnected || results.outOfOrder.length > 0 || results.ui.missed.length > 0) {
+      results.status = 'FAIL';
+    } else if (results.newStories === 0 || results.ui.error) {
+      results.status = 'WARNING';
+    }
+    return results;
+  }
+
+  async run() {
+    const { durationSeconds, uiPollSeconds, uiDeadlineSeconds } = this.settings;
+    console.log(chalk.blue.bold(`\n📡 Monitoring HN API for ${durationSeconds}s...`));
+    this.results.startedAt = new Date().toISOString();
+
+    try {
+      await this.startBrowser();
+      await this.openStream('maxitem', this.tester.endpoints.maxitem, (value, at) => this.handleMaxitem(value, at));
+      await this.openStream('newstories', this.tester.endpoints.newstories, (value, at) => this.handleNewstories(value, at));
+
+      const endAt = Date.now() + durationSeconds * 1000;
+      while (Date.now() < endAt) {
+        await sleep(Math.min(uiPollSeconds * 1000, endAt - Date.now()));
+        await this.checkUi();
+      }
+
+      // Give stories that arrived near the end their full deadline on /newest
+      const graceEnd = Date.now() + uiDeadlineSeconds * 1000;
+      while (this.pendingUi.size > 0 && Date.now() < graceEnd) {
+        await sleep(uiPollSeconds * 1000);
+        await this.checkUi();
+      }
+    } finally {
+      await this.stop();
+    }
+
+    await Promise.all(this.itemLookups);
+    this.results.finishedAt = new Date().toISOString();
+    return this.summarize();
+  }
+}
+
+// Console summary of a monitor run
+const displayMonitorSummary = (results) => {
+  const formatLatency = (stats) => stats.count > 0
+    ? `avg ${stats.average}ms, p50 ${stats.p50}ms, p95 ${stats.p95}ms, max ${stats.max}ms`
+    : 'no samples';
+  const statusColor = { PASS: chalk.green, WARNING: chalk.yellow, FAIL: chalk.red }[results.status];
+
+  console.log(chalk.blue.bold('\n📡 API Monitor Summary'));
+  console.log(`  maxitem: ${results.maxitem.initial} → ${results.maxitem.final} (${results.maxitem.changes} changes)`);
+  console.log(`  New stories in newstories: ${results.newStories}`);
+  console.log(`  maxitem → newstories: ${formatLatency(results.latency.listingDelay)}`);
+  console.log(`  Posted → newstories: ${formatLatency(results.latency.sincePosted)}`);
+  console.log(`  Out-of-order insertions: ${results.outOfOrder.length}`);
+  if (results.ui.enabled && !results.ui.error) {
+    console.log(`  /newest: ${results.ui.reflected} reflected, ${results.ui.missed.length} missed (${formatLatency(results.ui.latency)})`);
+  } else if (results.ui.error) {
+    console.log(chalk.yellow(`  /newest: not checked (${results.ui.error})`));
+  }
+  console.log(statusColor(`  Status: ${results.status}`));
+};
+
+module.exports = {
+  HNApiMonitor,
+  MONITOR_CONFIG,
+  displayMonitorSummary
+};
@@ -0,0 +1,124 @@
+// Firebase Event Stream - Follows one HN API location over the Firebase REST streaming protocol
+// (Server-Sent Events: `put` replaces the data at a path, `patch` updates children at a path)
+const axios = require('axios');
+
+// Set `data` at a Firebase path ("/", "/3", "/items/0") inside `root`; null removes the child
+const setAtPath = (root, path, data) => {
+  const keys = path.split('/').filter(Boolean);
+  if (keys.length === 0) return data;
+
+  const copy = Array.isArray(root) ? [...root] : { ...(root || {}) };
+  const [key, ...rest] = keys;
+  const child = setAtPath(copy[key], rest.join('/'), data);
+  if (child === null || child === undefined) {
+    delete copy[key];
+  } else {
+    copy[key] = child;
+  }
+  return copy;
+};
+
+// Parse one SSE block ("event: put\ndata: {...}") into { event, data }
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+  block.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+  });
+  const text = dataLines.join('\n');
+  return { event, data: text ? JSON.parse(text) : null };
+};
+
+class FirebaseEventStream {
+  // onValue(value, receivedAt) runs after every put/patch; onError(error) for broken or revoked streams
+  constructor(url, { onValue = () => {}, onError = () => {}, reconnectDelayMs = 1000 } = {}) {
+    this.url = url;
+    this.onValue = onValue;
+    this.onError = onError;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.value = null;
+    this.buffer = '';
+    this.controller = null;
+    this.closed = false;
+    this.stats = { events: 0, keepAlives: 0, reconnects: 0, errors: 0 };
+  }
+
+  // Resolves once the stream is connected; later disconnects reconnect until close()
+  async open() {
+    this.controller = new AbortController();
+    const response = await axios.get(this.url, {
+      headers: { Accept: 'text/event-stream' },
+      responseType: 'stream',
+      timeout: 0,
+      signal: this.controller.signal
+    });
+
+    this.buffer = '';
+    response.data.setEncoding('utf8');
+    response.data.on('data', chunk => this.handleChunk(chunk));
+    response.data.on('end', () => this.reconnect(new Error('Stream ended')));
+    response.data.on('error', error => this.reconnect(error));
+  }
+
+  reconnect(error) {
+    if (this.closed) return;
+    this.stats.errors++;
+    this.onError(error);
+    this.controller?.abort();
+
+    setTimeout(() => {
+      if (this.closed) return;
+      this.stats.reconnects++;
+      this.open().catch(openError => this.reconnect(openError));
+    }, this.reconnectDelayMs);
+  }
+
+  handleChunk(chunk) {
+    this.buffer += chunk;
+    const blocks = this.buffer.split(/\r?\n\r?\n/);
+    this.buffer = blocks.pop();
+
+    blocks.filter(block => block.trim()).forEach(block => {
+      try {
+        this.handleEvent(parseEventBlock(block));
+      } catch (error) {
+        this.stats.errors++;
+        this.onError(new Error(`Unreadable stream event: ${error.message}`));
+      }
+    });
+  }
+
+  handleEvent({ event, data }) {
+    const receivedAt = Date.now();
+    switch (event) {
+      case 'put':
+        this.value = setAtPath(this.value, data.path, data.data);
+        break;
+      case 'patch':
+        Object.entries(data.data || {}).forEach(([key, child]) => {
+          this.value = setAtPath(this.value, `${data.path}/${key}`, child);
+        });
+        break;
+      case 'keep-alive':
+        this.stats.keepAlives++;
+        return;
+      case 'cancel':
+      case 'auth_revoked':
+        this.stats.errors++;
+        this.onError(new Error(`Stream ${event}: ${JSON.stringify(data)}`));
+        return;
+      default:
+        return;
+    }
+    this.stats.events++;
+    this.onValue(this.value, receivedAt);
+  }
+
+  close() {
+    this.closed = true;
+    this.controller?.abort();
+  }
+}
+
+module.exports = FirebaseEventStream;
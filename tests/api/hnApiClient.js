@@ -0,0 +1,157 @@
+// HN API Client - Shared HTTP layer for the API suite: per-run cache, bounded concurrency, retries
+const axios = require('axios');
+
+// Client defaults for settings missing from the config file `api` section
+const API_CLIENT_CONFIG = {
+  timeout: 10000,
+  retries: 3, // Extra attempts after the first one
+  retryBackoffMs: 500, // Doubled on every retry
+  concurrency: 8, // Requests in flight at once across the whole client
+  maxRequestLog: 500
+};
+
+// Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx answers will not change
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class HNApiClient {
+  constructor(settings = {}, endpoints = {}) {
+    this.settings = { ...API_CLIENT_CONFIG, ...settings };
+    this.endpoints = endpoints;
+    this.cache = new Map();
+    this.requestLog = [];
+    this.stats = { requests: 0, cacheHits: 0, retries: 0, failures: 0 };
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  // Wait for a free request slot; slots are handed over in arrival order
+  async acquireSlot() {
+    if (this.active < this.settings.concurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  logRequest(entry) {
+    if (this.requestLog.length < this.settings.maxRequestLog) {
+      this.requestLog.push(entry);
+    }
+  }
+
+  // One GET with retries; resolves to { data, status, responseTime, attempts }.
+  // `responseTime` is the last attempt's round trip, without time spent queued or backing off.
+  async fetch(url) {
+    await this.acquireSlot();
+    const startedAt = new Date().toISOString();
+    let attempts = 0;
+
+    try {
+      for (;;) {
+        attempts++;
+        const attemptStart = Date.now();
+        try {
+          const response = await axios.get(url, { timeout: this.settings.timeout });
+          const responseTime = Date.now() - attemptStart;
+          this.stats.requests++;
+          this.logRequest({ url, status: response.status, responseTime, attempts, timestamp: startedAt });
+          return { data: response.data, status: response.status, responseTime, attempts };
+        } catch (error) {
+          this.stats.requests++;
+          if (attempts > this.settings.retries || !isRetryable(error)) {
+            this.stats.failures++;
+            this.logRequest({
+              url,
+              status: error.response?.status || null,
+              responseTime: Date.now() - attemptStart,
+              attempts,
+              error: error.message,
+              timestamp: startedAt
+            });
+            throw error;
+          }
+          this.stats.retries++;
+          await sleep(this.settings.retryBackoffMs * 2 ** (attempts - 1));
+        }
+      }
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  // Cached GET: concurrent callers of the same URL share one request; failures are not cached
+  request(url, { cache = true } = {}) {
+    if (!cache) return this.fetch(url);
+
+    if (this.cache.has(url)) {
+      this.stats.cacheHits++;
+      return this.cache.get(url);
+    }
+
+    const pending = this.fetch(url).catch(error => {
+      this.cache.delete(url);
+      throw error;
+    });
+    this.cache.set(url, pending);
+    return pending;
+  }
+
+  async get(url, options) {
+    return (await this.request(url, options)).data;
+  }
+
+  // A story list such as newstories or topstories
+  async getStoryIds(listName = 'newstories') {
+    const url = this.endpoints[listName];
+    if (!url) {
+      throw new Error(`No API endpoint for story list "${listName}"`);
+    }
+    return (await this.get(url)) || [];
+  }
+
+  async getItem(itemId) {
+    return this.get(`${this.endpoints.item}/${itemId}.json`);
+  }
+
+  // Items in input order; an item that cannot be fetched comes back as null.
+  // The request slots keep this to `concurrency` requests however many ids are passed.
+  async getItems(itemIds) {
+    return Promise.all(itemIds.map(itemId => this.getItem(itemId).catch(() => null)));
+  }
+
+  async getUser(userId) {
+    return this.get(`${this.endpoints.user}/${encodeURIComponent(userId)}.json`);
+  }
+
+  // Request totals plus timing over the requests that went over the wire
+  getStats() {
+    const responseTimes = this.requestLog.filter(entry => !entry.error).map(entry => entry.responseTime);
+    return {
+      ...this.stats,
+      cachedUrls: this.cache.size,
+      averageResponseTime: responseTimes.length > 0
+        ? responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length
+        : 0
+    };
+  }
+
+  getRequestLog() {
+    return this.requestLog;
+  }
+}
+
+module.exports = HNApiClient;
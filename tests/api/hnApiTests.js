@@ -1,30 +1,134 @@
 // HN API Testing Module - Backend Validation Layer
-const axios = require('axios');
+const fs = require('fs-extra');
 const moment = require('moment');
 const chalk = require('chalk');
+const HNApiClient = require('./hnApiClient');
+const { LATENCY_PERCENTILES, runLoadProfile } = require('./loadProfile');
+const { HN_SCHEMA_VERSION, ITEM_TYPES, USER_SCHEMA, getItemSchema } = require('./itemSchemas');
 const { logTestStep } = require('../../utils/testUtils');
+const { validateSchema, escapePointerToken, getType } = require('../../utils/schemaValidator');
 
 // HN API Configuration
 const HN_API_BASE = 'https://hacker-news.firebaseio.com/v0';
-const API_ENDPOINTS = {
-  newstories: `${HN_API_BASE}/newstories.json`,
-  item: `${HN_API_BASE}/item`, // append /{id}.json
-  maxitem: `${HN_API_BASE}/maxitem.json`,
-  topstories: `${HN_API_BASE}/topstories.json`
+
+// Build endpoint URLs for a given API base (live Firebase or the offline fixture)
+const buildApiEndpoints = (apiBase = HN_API_BASE) => ({
+  newstories: `${apiBase}/newstories.json`,
+  item: `${apiBase}/item`, // append /{id}.json
+  user: `${apiBase}/user`, // append /{id}.json
+  maxitem: `${apiBase}/maxitem.json`,
+  updates: `${apiBase}/updates.json`,
+  topstories: `${apiBase}/topstories.json`,
+  beststories: `${apiBase}/beststories.json`,
+  askstories: `${apiBase}/askstories.json`,
+  showstories: `${apiBase}/showstories.json`,
+  jobstories: `${apiBase}/jobstories.json`
+});
+
+// Story list invariants from the HN API docs: up to 500 top/new/best stories, up to 200 ask/show/job
+// stories; ask and show lists hold posts titled with their prefix, the job list holds jobs
+const STORY_LIST_RULES = {
+  topstories: { maxLength: 500 },
+  newstories: { maxLength: 500 },
+  beststories: { maxLength: 500 },
+  askstories: { maxLength: 200, titlePattern: /^(ask|tell) hn\b/i }, // Tell HN posts are listed under Ask
+  showstories: { maxLength: 200, titlePattern: /^show hn\b/i },
+  jobstories: { maxLength: 200, itemType: 'job' }
 };
 
-// API Test Configuration
+// API Test Configuration - defaults for settings missing from the config file `api` section
 const API_TEST_CONFIG = {
   timeout: 10000,
-  retries: 3,
+  retries: 3, // Extra attempts per request on network errors, 429 and 5xx
+  retryBackoffMs: 500, // Doubled on every retry
+  concurrency: 8, // Requests in flight at once
   maxItemsToTest: 50, // Test subset for performance
-  sortingToleranceMinutes: 60 // Allow 1 hour sorting tolerance
+  sortingToleranceMinutes: 60, // Allow 1 hour sorting tolerance
+  karmaTolerance: 10, // Karma keeps moving between the UI and API reads
+  scoreTolerance: 5, // Points gained between the page load and the API read
+  commentCountTolerance: 3, // Comments posted between the page load and the API read
+  timestampToleranceSeconds: 60, // Clock skew between the page and the API
+  contractSamplesPerType: 3, // Items validated per schema type
+  // Long-lived items used when the newest stories include no item of a type (examples from the HN API docs)
+  contractKnownIds: {
+    story: [8863],
+    comment: [2921983],
+    job: [192327],
+    poll: [126809],
+    pollopt: [160705],
+    user: ['jl']
+  }
+};
+
+// Fields compared per article by validateAgainstUIData, in report order
+const UI_COMPARISON_FIELDS = ['ordering', 'title', 'author', 'score', 'timestamp', 'url', 'descendants', 'type'];
+
+// API story list behind each listing page (/front has none)
+const LISTING_STORY_ENDPOINTS = {
+  newest: 'newstories',
+  news: 'topstories',
+  best: 'beststories',
+  ask: 'askstories',
+  show: 'showstories',
+  jobs: 'jobstories'
+};
+
+// Listing hrefs are absolute for links and relative for text posts; compare without those differences
+const normalizeUrl = (url) => String(url || '')
+  .replace(/^https?:\/\/news\.ycombinator\.com\//, '')
+  .replace(/\/$/, '');
+
+// The API's `about` is HTML; the profile page shows it as text
+const aboutToText = (html = '') => html
+  .replace(/<p>/gi, ' ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(parseInt(dec, 10)))
+  .replace(/&quot;/g, '"')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// One checked expectation in a test verdict. Failed 'warning' assertions are reported
+// but only failed 'error' assertions fail the test.
+const check = (name, expected, actual, passed, severity = 'error') => ({ name, expected, actual, passed, severity });
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+// Complete a test's results with its verdict: ERROR when the test could not finish, SKIPPED when
+// there was nothing to test, otherwise FAIL on any failed error-level assertion and PASS if none
+const applyVerdict = (results, startTime, assertions, skippedReason = null) => {
+  results.status = results.error
+    ? 'ERROR'
+    : skippedReason
+    ? 'SKIPPED'
+    : assertions.some(assertion => !assertion.passed && assertion.severity === 'error')
+    ? 'FAIL'
+    : 'PASS';
+  results.assertions = assertions;
+  results.durationMs = Date.now() - startTime;
+  results.skippedReason = results.error ? null : skippedReason;
+  return results;
 };
 
 class HNApiTester {
-  constructor() {
+  // options.contractSnapshotFile: where contract runs record their observed shapes for diffing
+  constructor(apiConfig = {}, target = {}, options = {}) {
+    this.settings = {
+      ...API_TEST_CONFIG,
+      ...apiConfig,
+      contractKnownIds: { ...API_TEST_CONFIG.contractKnownIds, ...apiConfig.contractKnownIds }
+    };
+    this.options = options;
+    this.apiBase = target.apiBaseUrl || HN_API_BASE;
+    this.endpoints = buildApiEndpoints(this.apiBase);
+    // One client per tester: every test in a run shares its item cache and request log
+    this.client = new HNApiClient(this.settings, this.endpoints);
     this.testResults = {
       apiAvailability: null,
+      endpointInvariants: null,
       dataIntegrity: null,
       sortingValidation: null,
       performanceMetrics: null,
@@ -38,72 +142,193 @@ class HNApiTester {
     
     const results = {
       endpoints: {},
-      overallStatus: 'PASS',
       averageResponseTime: 0
     };
 
     const startTime = Date.now();
+    const assertions = [];
 
     try {
+      // Uncached, so every endpoint is really timed; one failing endpoint doesn't hide the rest
+      const checkEndpoint = async (name, url, details = {}) => {
+        try {
+          const response = await this.client.request(url, { cache: false });
+          const data = response.data;
+          results.endpoints[name] = {
+            status: response.status,
+            responseTime: response.responseTime,
+            dataLength: Array.isArray(data) ? data.length : Array.isArray(data?.items) ? data.items.length : 1,
+            ...details,
+            success: response.status === 200 && data !== null
+          };
+          logTestStep(`  ${name}: ${response.status} (${response.responseTime}ms)`, results.endpoints[name].success ? 'success' : 'error');
+          return data;
+        } catch (error) {
+          results.endpoints[name] = {
+            status: error.response?.status || null,
+            responseTime: 0,
+            ...details,
+            success: false,
+            error: error.message
+          };
+          logTestStep(`  ${name}: ${error.message}`, 'error');
+          return null;
+        }
+      };
+
       // Test primary endpoints
-      for (const [name, url] of Object.entries(API_ENDPOINTS)) {
-        if (name === 'item') continue; // Skip item endpoint for now
-        
-        const endpointStart = Date.now();
-        const response = await axios.get(url, { timeout: API_TEST_CONFIG.timeout });
-        const responseTime = Date.now() - endpointStart;
-        
-        results.endpoints[name] = {
-          status: response.status,
-          responseTime,
-          dataLength: Array.isArray(response.data) ? response.data.length : 1,
-          success: response.status === 200
-        };
-        
-        logTestStep(`  ${name}: ${response.status} (${responseTime}ms)`, 'success');
+      for (const [name, url] of Object.entries(this.endpoints)) {
+        if (name === 'item' || name === 'user') continue; // Need an id, tested below
+        await checkEndpoint(name, url);
       }
 
-      // Test individual item endpoint
-      const newstoriesResponse = await axios.get(API_ENDPOINTS.newstories);
-      if (newstoriesResponse.data && newstoriesResponse.data.length > 0) {
-        const testItemId = newstoriesResponse.data[0];
-        const itemStart = Date.now();
-        const itemResponse = await axios.get(`${API_ENDPOINTS.item}/${testItemId}.json`, { timeout: API_TEST_CONFIG.timeout });
-        const itemResponseTime = Date.now() - itemStart;
-        
-        results.endpoints.item = {
-          status: itemResponse.status,
-          responseTime: itemResponseTime,
-          itemId: testItemId,
-          success: itemResponse.status === 200
-        };
-        
-        logTestStep(`  item: ${itemResponse.status} (${itemResponseTime}ms)`, 'success');
+      // Test individual item and user endpoints with the newest story and its author
+      const storyIds = await this.client.getStoryIds('newstories');
+      assertions.push(check('newstories has a story for the item/user checks', '>= 1 id', storyIds.length, storyIds.length > 0));
+      if (storyIds.length > 0) {
+        const testItemId = storyIds[0];
+        const item = await checkEndpoint('item', `${this.endpoints.item}/${testItemId}.json`, { itemId: testItemId });
+        const userId = item?.by || this.settings.contractKnownIds.user?.[0];
+        if (userId) {
+          await checkEndpoint('user', `${this.endpoints.user}/${encodeURIComponent(userId)}.json`, { userId });
+        }
       }
 
       // Calculate average response time
       const responseTimes = Object.values(results.endpoints).map(e => e.responseTime);
       results.averageResponseTime = responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length;
       
+      Object.entries(results.endpoints).forEach(([name, endpoint]) => {
+        const actual = endpoint.error || (endpoint.success ? endpoint.status : `${endpoint.status} with a null body`);
+        assertions.push(check(`${name} answers`, '200 with a non-null body', actual, endpoint.success));
+      });
+
       // Check if any endpoint failed
       const failedEndpoints = Object.values(results.endpoints).filter(e => !e.success);
       if (failedEndpoints.length > 0) {
-        results.overallStatus = 'FAIL';
         logTestStep(`${failedEndpoints.length} endpoints failed`, 'error');
       } else {
         logTestStep(`All endpoints responding (avg: ${results.averageResponseTime.toFixed(0)}ms)`, 'success');
       }
 
     } catch (error) {
-      results.overallStatus = 'FAIL';
       results.error = error.message;
       logTestStep(`API availability test failed: ${error.message}`, 'error');
     }
 
+    applyVerdict(results, startTime, assertions);
     this.testResults.apiAvailability = results;
     return results;
   }
 
+  // Check every story list and updates.json against the invariants the API documents
+  async testEndpointInvariants() {
+    logTestStep('Testing HN API endpoint invariants...', 'info');
+
+    const results = {
+      lists: {},
+      updates: null,
+      issues: []
+    };
+    const sampleSize = this.settings.contractSamplesPerType;
+    const startTime = Date.now();
+    const assertions = [];
+
+    try {
+      const lists = {};
+      for (const listName of Object.keys(STORY_LIST_RULES)) {
+        lists[listName] = await this.client.getStoryIds(listName);
+      }
+      // updates.json: { items: [ids], profiles: [user ids] }, each of which must resolve
+      const updates = await this.client.get(this.endpoints.updates, { cache: false });
+      // Read after the lists and updates, so every id they hold was already allocated
+      const maxItem = await this.client.get(this.endpoints.maxitem, { cache: false });
+
+      for (const [listName, rules] of Object.entries(STORY_LIST_RULES)) {
+        const ids = lists[listName];
+        const addIssue = (issue, severity = 'high') => results.issues.push({ endpoint: listName, issue, severity });
+        const checks = {
+          isArray: Array.isArray(ids),
+          withinLengthLimit: ids.length <= rules.maxLength,
+          idsAreIntegers: ids.every(id => Number.isInteger(id) && id > 0),
+          idsUnique: new Set(ids).size === ids.length,
+          idsWithinMaxItem: ids.every(id => id <= maxItem)
+        };
+
+        assertions.push(
+          check(`${listName} length`, `<= ${rules.maxLength}`, ids.length, checks.withinLengthLimit),
+          check(`${listName} ids that are not positive integers`, 0, ids.filter(id => !Number.isInteger(id) || id <= 0).length, checks.idsAreIntegers),
+          check(`${listName} duplicate ids`, 0, ids.length - new Set(ids).size, checks.idsUnique, 'warning'),
+          check(`${listName} ids above maxitem`, 0, ids.filter(id => id > maxItem).length, checks.idsWithinMaxItem)
+        );
+
+        if (!checks.withinLengthLimit) addIssue(`${ids.length} ids, more than the documented ${rules.maxLength}`);
+        if (!checks.idsAreIntegers) addIssue('contains ids that are not positive integers');
+        if (!checks.idsUnique) addIssue('contains duplicate ids', 'medium');
+        if (!checks.idsWithinMaxItem) {
+          addIssue(`ids above maxitem ${maxItem}: ${ids.filter(id => id > maxItem).slice(0, 5).join(', ')}`);
+        }
+
+        if (rules.titlePattern || rules.itemType) {
+          const items = (await this.client.getItems(ids.slice(0, sampleSize))).filter(Boolean);
+          const mismatched = items.filter(item => item.deleted || item.dead ? false
+            : rules.itemType ? item.type !== rules.itemType : !rules.titlePattern.test(item.title || ''));
+          checks.itemsMatchList = mismatched.length === 0;
+          assertions.push(check(
+            `${listName} sampled items that do not belong`, 0, mismatched.length, checks.itemsMatchList, 'warning'
+          ));
+          mismatched.forEach(item => addIssue(
+            rules.itemType
+              ? `item ${item.id} has type ${item.type}, expected ${rules.itemType}`
+              : `item ${item.id} "${item.title}" does not match ${rules.titlePattern}`,
+            'medium'
+          ));
+        }
+
+        results.lists[listName] = { length: ids.length, maxLength: rules.maxLength, checks };
+      }
+
+      const updatedItems = Array.isArray(updates?.items) ? updates.items : [];
+      const updatedProfiles = Array.isArray(updates?.profiles) ? updates.profiles : [];
+      const itemSample = updatedItems.slice(0, sampleSize);
+      const profileSample = updatedProfiles.slice(0, sampleSize);
+      const resolvedItems = (await this.client.getItems(itemSample)).filter(Boolean);
+      const resolvedProfiles = (await Promise.all(
+        profileSample.map(userId => this.client.getUser(userId).catch(() => null))
+      )).filter(Boolean);
+
+      results.updates = {
+        items: updatedItems.length,
+        profiles: updatedProfiles.length,
+        checks: {
+          hasItemsArray: Array.isArray(updates?.items),
+          hasProfilesArray: Array.isArray(updates?.profiles),
+          itemIdsWithinMaxItem: updatedItems.every(id => Number.isInteger(id) && id <= maxItem),
+          sampledItemsResolve: resolvedItems.length === itemSample.length,
+          sampledProfilesResolve: resolvedProfiles.length === profileSample.length
+        }
+      };
+      Object.entries(results.updates.checks).forEach(([name, passed]) => {
+        assertions.push(check(`updates ${name}`, true, passed, passed));
+        if (!passed) results.issues.push({ endpoint: 'updates', issue: `${name} failed`, severity: 'high' });
+      });
+
+      results.issues.slice(0, 5).forEach(issue => logTestStep(`  ${issue.endpoint}: ${issue.issue}`, 'warning'));
+      logTestStep(
+        `Endpoint invariants: ${Object.keys(results.lists).length} story lists and updates checked, ${results.issues.length} issues`,
+        results.issues.some(issue => issue.severity === 'high') ? 'warning' : 'success'
+      );
+
+    } catch (error) {
+      results.error = error.message;
+      logTestStep(`Endpoint invariants test failed: ${error.message}`, 'error');
+    }
+
+    applyVerdict(results, startTime, assertions);
+    this.testResults.endpointInvariants = results;
+    return results;
+  }
+
   // Test data integrity between API and expected format
   async testDataIntegrity() {
     logTestStep('Testing HN API data integrity...', 'info');
@@ -115,21 +340,28 @@ class HNApiTester {
       dataQualityScore: 0,
       issues: []
     };
+    const startTime = Date.now();
+    const assertions = [];
+    let skippedReason = null;
 
     try {
       // Get newest story IDs
-      const newstoriesResponse = await axios.get(API_ENDPOINTS.newstories);
-      const storyIds = newstoriesResponse.data.slice(0, API_TEST_CONFIG.maxItemsToTest);
+      const storyIds = (await this.client.getStoryIds('newstories')).slice(0, this.settings.maxItemsToTest);
+      if (storyIds.length === 0) skippedReason = 'newstories returned no ids';
       
       logTestStep(`Testing ${storyIds.length} items for data integrity...`, 'info');
 
+      const fetched = await Promise.all(storyIds.map(itemId =>
+        this.client.getItem(itemId).then(item => ({ itemId, item }), error => ({ itemId, error }))
+      ));
+
       // Test each item
-      for (const itemId of storyIds) {
+      for (const { itemId, item, error: fetchError } of fetched) {
         results.totalItemsTested++;
         
         try {
-          const itemResponse = await axios.get(`${API_ENDPOINTS.item}/${itemId}.json`);
-          const item = itemResponse.data;
+          if (fetchError) throw fetchError;
+          if (!item) throw new Error('Item is null');
           
           // Validate required fields
           const requiredFields = ['id', 'type', 'time', 'by'];
@@ -181,6 +413,10 @@ class HNApiTester {
         ? (results.validItems / results.totalItemsTested) * 100 
         : 0;
 
+      assertions.push(check(
+        'Items with id, type, time and by', '>= 90%', round(results.dataQualityScore), results.dataQualityScore >= 90
+      ));
+
       const criticalIssues = results.issues.filter(i => i.severity === 'high').length;
       if (criticalIssues === 0 && results.dataQualityScore >= 90) {
         logTestStep(`Data integrity: ${results.dataQualityScore.toFixed(1)}% quality`, 'success');
@@ -193,6 +429,7 @@ class HNApiTester {
       logTestStep(`Data integrity test failed: ${error.message}`, 'error');
     }
 
+    applyVerdict(results, startTime, assertions, skippedReason);
     this.testResults.dataIntegrity = results;
     return results;
   }
@@ -208,33 +445,25 @@ class HNApiTester {
       sortingAccuracy: 0,
       sortingIssues: []
     };
+    const startTime = Date.now();
+    const assertions = [];
+    let skippedReason = null;
 
     try {
       // Get newest story IDs
-      const newstoriesResponse = await axios.get(API_ENDPOINTS.newstories);
-      const storyIds = newstoriesResponse.data.slice(0, API_TEST_CONFIG.maxItemsToTest);
+      const storyIds = (await this.client.getStoryIds('newstories')).slice(0, this.settings.maxItemsToTest);
       
       logTestStep(`Testing sorting for ${storyIds.length} items...`, 'info');
 
-      // Get items with timestamps
-      const itemsWithTimestamps = [];
-      for (const itemId of storyIds) {
-        try {
-          const itemResponse = await axios.get(`${API_ENDPOINTS.item}/${itemId}.json`);
-          const item = itemResponse.data;
-          
-          if (item && item.time) {
-            itemsWithTimestamps.push({
-              id: itemId,
-              time: item.time,
-              timestamp: moment.unix(item.time).toDate()
-            });
-          }
-        } catch (error) {
-          // Skip items that can't be fetched
-          continue;
-        }
-      }
+      // Get items with timestamps; items that can't be fetched are skipped
+      const items = await this.client.getItems(storyIds);
+      const itemsWithTimestamps = items
+        .filter(item => item && item.time)
+        .map(item => ({
+          id: item.id,
+          time: item.time,
+          timestamp: moment.unix(item.time).toDate()
+        }));
 
       // Validate sorting (newest first)
       for (let i = 0; i < itemsWithTimestamps.length - 1; i++) {
@@ -251,7 +480,7 @@ class HNApiTester {
           
           // Check if it's within tolerance
           const timeDiffMinutes = (next.time - current.time) / 60;
-          if (timeDiffMinutes > API_TEST_CONFIG.sortingToleranceMinutes) {
+          if (timeDiffMinutes > this.settings.sortingToleranceMinutes) {
             results.sortingIssues.push({
               position: i,
               currentId: current.id,
@@ -267,6 +496,15 @@ class HNApiTester {
       results.sortingAccuracy = results.totalPairs > 0 
         ? (results.correctPairs / results.totalPairs) * 100 
         : 100;
+      if (results.totalPairs === 0) skippedReason = 'fewer than two timestamped items to compare';
+
+      assertions.push(
+        check('newstories pairs in newest-first order', '>= 80%', round(results.sortingAccuracy), results.sortingAccuracy >= 80),
+        check(
+          `Pairs out of order by more than ${this.settings.sortingToleranceMinutes} minutes`,
+          0, results.sortingIssues.length, results.sortingIssues.length === 0, 'warning'
+        )
+      );
 
       if (results.sortingAccuracy >= 80) {
         logTestStep(`API sorting accuracy: ${results.sortingAccuracy.toFixed(1)}%`, 'success');
@@ -279,134 +517,227 @@ class HNApiTester {
       logTestStep(`API sorting validation failed: ${error.message}`, 'error');
     }
 
+    applyVerdict(results, startTime, assertions, skippedReason);
     this.testResults.sortingValidation = results;
     return results;
   }
 
-  // Test API performance metrics
+  // Run the load profile (`api.load`) and judge it against the REQ-003 latency and error SLOs
   async testPerformanceMetrics() {
-    logTestStep('Testing HN API performance metrics...', 'info');
-    
-    const results = {
-      responseTimes: [],
-      averageResponseTime: 0,
-      maxResponseTime: 0,
-      minResponseTime: 0,
-      throughput: 0,
-      performanceScore: 0
-    };
+    logTestStep('Testing HN API performance under load...', 'info');
+
+    let results = {};
+    const startTime = Date.now();
+    let assertions = [];
 
     try {
-      const startTime = Date.now();
-      
-      // Get newest story IDs
-      const newstoriesResponse = await axios.get(API_ENDPOINTS.newstories);
-      const storyIds = newstoriesResponse.data.slice(0, 20); // Smaller set for performance testing
-      
-      // Test concurrent requests
-      const requestPromises = storyIds.map(async (itemId) => {
-        const requestStart = Date.now();
-        try {
-          await axios.get(`${API_ENDPOINTS.item}/${itemId}.json`, { timeout: API_TEST_CONFIG.timeout });
-          return Date.now() - requestStart;
-        } catch (error) {
-          return null; // Failed request
-        }
+      // Item and user requests draw from the newest stories and their authors
+      const storyIds = (await this.client.getStoryIds('newstories')).slice(0, 20);
+      const items = (await this.client.getItems(storyIds)).filter(Boolean);
+      const ids = {
+        items: items.map(item => item.id),
+        users: [...new Set(items.map(item => item.by).filter(Boolean))]
+      };
+
+      const load = await runLoadProfile({
+        settings: this.settings,
+        endpoints: this.endpoints,
+        profile: this.settings.load,
+        ids
       });
 
-      const responseTimes = await Promise.all(requestPromises);
-      results.responseTimes = responseTimes.filter(t => t !== null);
-      
-      if (results.responseTimes.length > 0) {
-        results.averageResponseTime = results.responseTimes.reduce((a, b) => a + b, 0) / results.responseTimes.length;
-        results.maxResponseTime = Math.max(...results.responseTimes);
-        results.minResponseTime = Math.min(...results.responseTimes);
-        
-        const totalTime = Date.now() - startTime;
-        results.throughput = (results.responseTimes.length / totalTime) * 1000; // requests per second
-        
-        // Calculate performance score (lower response time = higher score)
-        const baselineResponseTime = 1000; // 1 second baseline
-        results.performanceScore = Math.max(0, Math.min(100, 
-          ((baselineResponseTime - results.averageResponseTime) / baselineResponseTime) * 100
-        ));
-        
-        logTestStep(`API performance: ${results.averageResponseTime.toFixed(0)}ms avg, ${results.throughput.toFixed(1)} req/s`, 'success');
-      } else {
-        logTestStep('No successful API requests for performance testing', 'error');
-      }
+      results = {
+        ...load,
+        averageResponseTime: load.latency.average || 0,
+        minResponseTime: load.latency.min || 0,
+        maxResponseTime: load.latency.max || 0
+      };
+      assertions = load.slo.checks.map(sloCheck =>
+        check(sloCheck.name, sloCheck.expected, round(sloCheck.actual, 2), sloCheck.passed)
+      );
+
+      const { latency } = load;
+      logTestStep(
+        `API load: ${load.requests} requests at ${load.throughput.toFixed(1)} req/s - ` +
+        LATENCY_PERCENTILES.map(percentile => `p${percentile} ${latency[`p${percentile}`] ?? '-'}ms`).join(', ') +
+        `, ${load.errorRate.toFixed(2)}% errors`,
+        'info'
+      );
+      load.slo.checks.forEach(sloCheck => {
+        logTestStep(
+          `SLO ${sloCheck.name}: ${sloCheck.actual.toFixed(2)}% (expected ${sloCheck.expected})`,
+          sloCheck.passed ? 'success' : 'error'
+        );
+      });
 
     } catch (error) {
       results.error = error.message;
       logTestStep(`API performance test failed: ${error.message}`, 'error');
     }
 
+    applyVerdict(results, startTime, assertions);
     this.testResults.performanceMetrics = results;
     return results;
   }
 
-  // Test API contract compliance
+  // Sample items so every schema type is covered: the newest stories first, then replies and
+  // poll options reachable from them, then the known ids in `contractKnownIds` for types still missing
+  async collectContractSamples() {
+    const perType = this.settings.contractSamplesPerType;
+    const samples = Object.fromEntries(ITEM_TYPES.map(type => [type, []]));
+    const addSamples = (items, source) => items.forEach(item => {
+      const bucket = samples[item?.type];
+      if (bucket && bucket.length < perType && !bucket.some(sample => sample.item.id === item.id)) {
+        bucket.push({ item, source });
+      }
+    });
+    const missingTypes = () => ITEM_TYPES.filter(type => samples[type].length === 0);
+
+    const storyIds = (await this.client.getStoryIds('newstories')).slice(0, this.settings.maxItemsToTest);
+    addSamples(await this.client.getItems(storyIds), 'newstories');
+
+    const childIds = Object.values(samples).flat()
+      .flatMap(({ item }) => [...(item.kids || []).slice(0, perType), ...(item.parts || [])]);
+    if (samples.comment.length < perType || samples.pollopt.length < perType) {
+      addSamples(await this.client.getItems(childIds.slice(0, this.settings.maxItemsToTest)), 'children');
+    }
+
+    for (const type of missingTypes()) {
+      addSamples(await this.client.getItems(this.settings.contractKnownIds[type] || []), 'known');
+    }
+
+    // Users: the authors of sampled items, else the known user ids
+    const authors = [...new Set(Object.values(samples).flat().map(({ item }) => item.by).filter(Boolean))];
+    const userIds = authors.length > 0 ? authors.slice(0, perType) : this.settings.contractKnownIds.user || [];
+    const users = await Promise.all(userIds.map(userId => this.client.getUser(userId).catch(() => null)));
+
+    return {
+      samples,
+      users: users.filter(Boolean).map(user => ({ item: user, source: authors.length > 0 ? 'authors' : 'known' })),
+      missingTypes: missingTypes()
+    };
+  }
+
+  // Every field seen per type with the JSON types it held, for diffing runs
+  describeShapes(samplesByType) {
+    return Object.fromEntries(Object.entries(samplesByType).map(([type, samples]) => {
+      const fields = {};
+      samples.forEach(({ item }) => Object.entries(item).forEach(([field, value]) => {
+        fields[field] = [...new Set([...(fields[field] || []), getType(value)])].sort();
+      }));
+      return [type, fields];
+    }));
+  }
+
+  // Fields added, removed or retyped since the previous run's contract snapshot
+  diffContractShapes(previous, current) {
+    const changes = [];
+    if (previous.schemaVersion !== current.schemaVersion) {
+      changes.push({ type: '*', change: 'schema_version', from: previous.schemaVersion, to: current.schemaVersion });
+    }
+
+    Object.entries(current.shapes).forEach(([type, fields]) => {
+      const before = previous.shapes?.[type];
+      // A type without samples in either run says nothing about its fields
+      if (!before || Object.keys(before).length === 0 || Object.keys(fields).length === 0) return;
+
+      Object.entries(fields).forEach(([field, types]) => {
+        if (!before[field]) {
+          changes.push({ type, pointer: `/${escapePointerToken(field)}`, change: 'added', to: types.join('|') });
+        } else if (before[field].join('|') !== types.join('|')) {
+          changes.push({ type, pointer: `/${escapePointerToken(field)}`, change: 'retyped', from: before[field].join('|'), to: types.join('|') });
+        }
+      });
+      Object.keys(before)
+        .filter(field => !fields[field])
+        .forEach(field => changes.push({
+          type, pointer: `/${escapePointerToken(field)}`, change: 'not_seen', from: before[field].join('|')
+        }));
+    });
+
+    return changes;
+  }
+
+  // Validate a sample of every item type and of users against the versioned schemas in itemSchemas.js
   async testContractCompliance() {
     logTestStep('Testing HN API contract compliance...', 'info');
     
     const results = {
+      schemaVersion: HN_SCHEMA_VERSION,
       endpointTests: {},
-      schemaValidation: {},
-      complianceScore: 0,
-      issues: []
+      coverage: {},
+      missingTypes: [],
+      itemsValidated: 0,
+      validItems: 0,
+      violations: [],
+      schemaChanges: [],
+      complianceScore: 0
     };
+    const startTime = Date.now();
+    const assertions = [];
 
     try {
-      // Test newstories endpoint contract
-      const newstoriesResponse = await axios.get(API_ENDPOINTS.newstories);
+      // Story lists are arrays of item ids
+      const newstoriesResponse = await this.client.request(this.endpoints.newstories);
       results.endpointTests.newstories = {
         status: newstoriesResponse.status,
         isArray: Array.isArray(newstoriesResponse.data),
         hasItems: newstoriesResponse.data.length > 0,
-        itemsAreNumbers: newstoriesResponse.data.every(id => typeof id === 'number')
+        itemsAreNumbers: newstoriesResponse.data.every(id => Number.isInteger(id))
       };
+      const listPassed = Object.values(results.endpointTests.newstories).filter(v => typeof v === 'boolean').every(Boolean);
 
-      // Test item endpoint contract
-      if (newstoriesResponse.data.length > 0) {
-        const testItemId = newstoriesResponse.data[0];
-        const itemResponse = await axios.get(`${API_ENDPOINTS.item}/${testItemId}.json`);
-        const item = itemResponse.data;
-        
-        results.endpointTests.item = {
-          status: itemResponse.status,
-          hasRequiredFields: ['id', 'type', 'time', 'by'].every(field => field in item),
-          typeIsValid: ['story', 'comment', 'job', 'poll', 'pollopt'].includes(item.type),
-          timeIsUnix: typeof item.time === 'number' && item.time > 0,
-          idMatches: item.id === testItemId
-        };
+      const { samples, users, missingTypes } = await this.collectContractSamples();
+      results.missingTypes = missingTypes;
 
-        // Schema validation for story type
-        if (item.type === 'story') {
-          results.schemaValidation.story = {
-            hasTitle: typeof item.title === 'string' && item.title.length > 0,
-            hasUrl: !item.url || typeof item.url === 'string',
-            hasScore: typeof item.score === 'number',
-            hasDescendants: typeof item.descendants === 'number'
-          };
-        }
-      }
+      const validate = (type, { item, source }, schema) => {
+        const errors = validateSchema(item, schema);
+        results.itemsValidated++;
+        if (errors.length === 0) results.validItems++;
+        results.coverage[type].sampled++;
+        results.coverage[type].sources = [...new Set([...results.coverage[type].sources, source])];
+        errors.forEach(({ pointer, keyword, message }) => results.violations.push({
+          type, id: item.id, pointer, keyword, message
+        }));
+      };
 
-      // Calculate compliance score
-      const allTests = [];
-      Object.values(results.endpointTests).forEach(test => {
-        allTests.push(...Object.values(test).filter(v => typeof v === 'boolean'));
-      });
-      Object.values(results.schemaValidation).forEach(test => {
-        allTests.push(...Object.values(test).filter(v => typeof v === 'boolean'));
+      Object.entries(samples).forEach(([type, typeSamples]) => {
+        results.coverage[type] = { sampled: 0, sources: [] };
+        typeSamples.forEach(sample => validate(type, sample, getItemSchema(sample.item)));
       });
-      
-      const passedTests = allTests.filter(Boolean).length;
-      results.complianceScore = allTests.length > 0 ? (passedTests / allTests.length) * 100 : 0;
+      results.coverage.user = { sampled: 0, sources: [] };
+      users.forEach(sample => validate('user', sample, USER_SCHEMA));
+
+      results.complianceScore = results.itemsValidated > 0 && listPassed
+        ? (results.validItems / results.itemsValidated) * 100
+        : 0;
+
+      const shapes = this.describeShapes({ ...samples, user: users });
+      results.schemaChanges = await this.recordContractSnapshot(shapes);
+
+      assertions.push(
+        check('newstories is a non-empty array of integer ids', true, listPassed, listPassed),
+        check('Items and users matching their schema', '>= 95%', round(results.complianceScore), results.complianceScore >= 95),
+        check('Item types without a sample', 0, missingTypes.length, missingTypes.length === 0, 'warning'),
+        check('Contract changes since the previous run', 0, results.schemaChanges.length, results.schemaChanges.length === 0, 'warning')
+      );
+
+      const sampled = Object.entries(results.coverage).map(([type, { sampled: count }]) => `${type} ${count}`).join(', ');
+      logTestStep(`Schema ${HN_SCHEMA_VERSION}: validated ${sampled}`, 'info');
+      if (missingTypes.length > 0) {
+        logTestStep(`No samples found for: ${missingTypes.join(', ')}`, 'warning');
+      }
+      results.violations.slice(0, 5).forEach(violation =>
+        logTestStep(`  ${violation.type} ${violation.id} ${violation.pointer}: ${violation.message}`, 'warning')
+      );
+      if (results.schemaChanges.length > 0) {
+        logTestStep(`${results.schemaChanges.length} contract changes since the previous run`, 'warning');
+      }
 
       if (results.complianceScore >= 95) {
         logTestStep(`API contract compliance: ${results.complianceScore.toFixed(1)}%`, 'success');
       } else {
-        logTestStep(`API contract compliance: ${results.complianceScore.toFixed(1)}% (issues detected)`, 'warning');
+        logTestStep(`API contract compliance: ${results.complianceScore.toFixed(1)}% (${results.violations.length} violations)`, 'warning');
       }
 
     } catch (error) {
@@ -414,16 +745,31 @@ class HNApiTester {
       logTestStep(`API contract compliance test failed: ${error.message}`, 'error');
     }
 
+    applyVerdict(results, startTime, assertions);
     this.testResults.contractCompliance = results;
     return results;
   }
 
+  // Save this run's observed shapes and return how they differ from the last saved run
+  async recordContractSnapshot(shapes) {
+    const snapshotFile = this.options.contractSnapshotFile;
+    if (!snapshotFile) return [];
+
+    const current = { schemaVersion: HN_SCHEMA_VERSION, recordedAt: new Date().toISOString(), apiBase: this.apiBase, shapes };
+    const previous = await fs.readJson(snapshotFile).catch(() => null);
+    await fs.outputJson(snapshotFile, current, { spaces: 2 });
+
+    // Live and fixture APIs differ; only compare runs against the same API
+    return previous && previous.apiBase === this.apiBase ? this.diffContractShapes(previous, current) : [];
+  }
+
   // Run all API tests
   async runAllTests() {
     console.log(chalk.blue.bold('\n🔗 Running HN API Test Suite...'));
     
     const testSuite = [
       { name: 'API Availability', method: 'testApiAvailability' },
+      { name: 'Endpoint Invariants', method: 'testEndpointInvariants' },
       { name: 'Data Integrity', method: 'testDataIntegrity' },
       { name: 'Sorting Validation', method: 'testSortingValidation' },
       { name: 'Performance Metrics', method: 'testPerformanceMetrics' },
@@ -437,119 +783,262 @@ class HNApiTester {
         totalTests: testSuite.length,
         passedTests: 0,
         failedTests: 0,
-        overallStatus: 'PASS'
+        erroredTests: 0,
+        skippedTests: 0,
+        warnings: 0,
+        overallStatus: 'PASS',
+        tests: []
       }
     };
+    const counters = { PASS: 'passedTests', FAIL: 'failedTests', ERROR: 'erroredTests', SKIPPED: 'skippedTests' };
 
     for (const test of testSuite) {
+      const startTime = Date.now();
+      let verdict;
       try {
-        const testResult = await this[test.method]();
-        
-        // Determine if test passed
-        const passed = !testResult.error && 
-                      (testResult.overallStatus === 'PASS' || 
-                       testResult.dataQualityScore >= 90 || 
-                       testResult.sortingAccuracy >= 80 || 
-                       testResult.performanceScore >= 0 || 
-                       testResult.complianceScore >= 95);
-        
-        if (passed) {
-          results.summary.passedTests++;
-        } else {
-          results.summary.failedTests++;
-          results.summary.overallStatus = 'FAIL';
-        }
-        
+        verdict = await this[test.method]();
       } catch (error) {
-        results.summary.failedTests++;
-        results.summary.overallStatus = 'FAIL';
+        // Test methods record their own errors; this only catches bugs in them
+        verdict = applyVerdict({ error: error.message }, startTime, []);
         logTestStep(`${test.name} failed: ${error.message}`, 'error');
       }
+
+      const failedAssertions = verdict.assertions.filter(assertion => !assertion.passed);
+      const warnings = failedAssertions.filter(assertion => assertion.severity === 'warning').length;
+      results.summary[counters[verdict.status]]++;
+      results.summary.warnings += warnings;
+      if (verdict.status === 'FAIL' || verdict.status === 'ERROR') {
+        results.summary.overallStatus = 'FAIL';
+      }
+      results.summary.tests.push({
+        name: test.name,
+        status: verdict.status,
+        durationMs: verdict.durationMs,
+        assertions: verdict.assertions.length,
+        failedAssertions,
+        skippedReason: verdict.skippedReason,
+        error: verdict.error || null
+      });
     }
 
-    console.log(chalk.blue(`\n📊 API Test Results: ${results.summary.passedTests}/${results.summary.totalTests} passed`));
+    const statusIcons = { PASS: '✅', FAIL: '❌', ERROR: '💥', SKIPPED: '⏭️' };
+    console.log(chalk.blue('\n📋 API test verdicts:'));
+    results.summary.tests.forEach(test => {
+      const detail = test.error
+        || test.skippedReason
+        || test.failedAssertions.map(assertion => `${assertion.name}: expected ${assertion.expected}, got ${assertion.actual}`).join('; ');
+      console.log(`    ${statusIcons[test.status]} ${test.name} (${test.durationMs}ms)${detail ? chalk.gray(` - ${detail}`) : ''}`);
+    });
+
+    results.http = { ...this.client.getStats(), requestLog: this.client.getRequestLog() };
+
+    const { summary } = results;
+    console.log(chalk.blue(
+      `\n📊 API Test Results: ${summary.passedTests}/${summary.totalTests} passed` +
+      (summary.failedTests > 0 ? `, ${summary.failedTests} failed` : '') +
+      (summary.erroredTests > 0 ? `, ${summary.erroredTests} errored` : '') +
+      (summary.skippedTests > 0 ? `, ${summary.skippedTests} skipped` : '') +
+      (summary.warnings > 0 ? ` (${summary.warnings} warnings)` : '')
+    ));
+    console.log(chalk.gray(
+      `    HTTP: ${results.http.requests} requests sent, ${results.http.cacheHits} cache hits, ${results.http.retries} retries, ${results.http.failures} failed`
+    ));
     
     return results;
   }
 
-  // Validate API data against UI data
-  async validateAgainstUIData(uiArticles) {
+  // Compare every article a listing page showed with its API item, field by field.
+  // Score and comment count may move while the page loads, so they get a tolerance;
+  // the UI timestamp is a window `timestampPrecision` wide ending at `timestamp`.
+  async validateAgainstUIData(uiArticles, listing = null) {
     logTestStep('Validating API data against UI data...', 'info');
-    
+
+    const articles = uiArticles.filter(article => article && article.id);
     const results = {
-      totalArticles: uiArticles.length,
+      listing: listing?.id || null,
+      totalArticles: articles.length,
       matchedArticles: 0,
+      missingArticles: [],
+      fieldStats: Object.fromEntries(UI_COMPARISON_FIELDS.map(field => [field, { compared: 0, mismatched: 0 }])),
       discrepancies: [],
       consistencyScore: 0
     };
 
+    const compare = (article, field, matches, apiValue, uiValue) => {
+      results.fieldStats[field].compared++;
+      if (!matches) {
+        results.fieldStats[field].mismatched++;
+        results.discrepancies.push({ id: article.id, field, apiValue, uiValue });
+      }
+    };
+
     try {
-      // Get API data for comparison
-      const newstoriesResponse = await axios.get(API_ENDPOINTS.newstories);
-      const storyIds = newstoriesResponse.data.slice(0, Math.min(50, uiArticles.length));
-      
-      // Get API items
-      const apiItems = [];
-      for (const itemId of storyIds) {
-        try {
-          const itemResponse = await axios.get(`${API_ENDPOINTS.item}/${itemId}.json`);
-          apiItems.push(itemResponse.data);
-        } catch (error) {
-          // Skip failed items
+      const apiItems = await this.client.getItems(articles.map(article => article.id));
+
+      articles.forEach((article, index) => {
+        const apiItem = apiItems[index];
+        if (!apiItem) {
+          results.missingArticles.push(article.id);
+          return;
+        }
+        results.matchedArticles++;
+
+        compare(article, 'title', apiItem.title === article.title, apiItem.title, article.title);
+
+        // Jobs have no author on the listing
+        if (!article.isJob) {
+          compare(article, 'author', apiItem.by === article.author, apiItem.by, article.author);
         }
+
+        if (Number.isFinite(article.score) && Number.isFinite(apiItem.score)) {
+          compare(
+            article, 'score',
+            Math.abs(apiItem.score - article.score) <= this.settings.scoreTolerance,
+            apiItem.score, article.score
+          );
+        }
+
+        if (article.timestamp && apiItem.time) {
+          const uiLatest = new Date(article.timestamp).getTime();
+          const uiEarliest = uiLatest - (article.timestampPrecision || 0);
+          const apiTime = apiItem.time * 1000;
+          const slack = this.settings.timestampToleranceSeconds * 1000;
+          compare(
+            article, 'timestamp',
+            apiTime >= uiEarliest - slack && apiTime <= uiLatest + slack,
+            moment.unix(apiItem.time).toISOString(), article.timestampText || new Date(uiLatest).toISOString()
+          );
+        }
+
+        // Text posts (Ask HN, most jobs) link to their own discussion page
+        const expectedUrl = apiItem.url || `item?id=${apiItem.id}`;
+        compare(article, 'url', normalizeUrl(expectedUrl) === normalizeUrl(article.url), expectedUrl, article.url);
+
+        if (!article.isJob && Number.isFinite(article.commentCount) && Number.isFinite(apiItem.descendants)) {
+          compare(
+            article, 'descendants',
+            Math.abs(apiItem.descendants - article.commentCount) <= this.settings.commentCountTolerance,
+            apiItem.descendants, article.commentCount
+          );
+        }
+
+        // The UI splits stories into story/show/ask by title; the API only knows story, job and poll
+        const expectedType = article.type === 'job' ? 'job' : 'story';
+        const apiType = apiItem.type === 'poll' ? 'story' : apiItem.type;
+        compare(article, 'type', apiType === expectedType, apiItem.type, article.type);
+      });
+
+      await this.compareListingOrder(articles, listing, compare);
+
+      const totals = Object.values(results.fieldStats).reduce(
+        (sum, stats) => ({ compared: sum.compared + stats.compared, mismatched: sum.mismatched + stats.mismatched }),
+        { compared: 0, mismatched: 0 }
+      );
+      results.consistencyScore = totals.compared > 0
+        ? ((totals.compared - totals.mismatched) / totals.compared) * 100
+        : 0;
+
+      if (results.consistencyScore >= 95) {
+        logTestStep(`API-UI consistency: ${results.consistencyScore.toFixed(1)}%`, 'success');
+      } else {
+        logTestStep(`API-UI consistency: ${results.consistencyScore.toFixed(1)}% (${results.discrepancies.length} discrepancies)`, 'warning');
+      }
+      if (results.missingArticles.length > 0) {
+        logTestStep(`${results.missingArticles.length} listed articles have no API item`, 'warning');
       }
 
-      // Compare API vs UI data
-      for (const uiArticle of uiArticles.slice(0, apiItems.length)) {
-        const apiItem = apiItems.find(item => item.id.toString() === uiArticle.id);
-        
-        if (apiItem) {
-          results.matchedArticles++;
-          
-          // Check for discrepancies
-          if (apiItem.title !== uiArticle.title) {
-            results.discrepancies.push({
-              id: uiArticle.id,
-              field: 'title',
-              apiValue: apiItem.title,
-              uiValue: uiArticle.title
-            });
+    } catch (error) {
+      results.error = error.message;
+      logTestStep(`API-UI validation failed: ${error.message}`, 'error');
+    }
+
+    return results;
+  }
+
+  // Neighbouring UI articles that both appear in the listing's API story list must keep their order
+  async compareListingOrder(articles, listing, compare) {
+    const listName = LISTING_STORY_ENDPOINTS[listing?.name || 'newest'];
+    if (!this.endpoints[listName]) return;
+
+    const storyIds = await this.client.getStoryIds(listName);
+    const apiPositions = new Map(storyIds.map((id, position) => [String(id), position]));
+    const listed = articles.filter(article => apiPositions.has(String(article.id)));
+
+    for (let i = 0; i < listed.length - 1; i++) {
+      const current = apiPositions.get(String(listed[i].id));
+      const next = apiPositions.get(String(listed[i + 1].id));
+      compare(
+        listed[i + 1], 'ordering', next > current,
+        `API position ${next + 1} after ${current + 1}`, `follows ${listed[i].id}`
+      );
+    }
+  }
+
+  // Compare author profiles read from user?id= pages with /v0/user/{id}.json
+  async validateUserProfiles(uiProfiles) {
+    logTestStep('Validating author profiles against the API...', 'info');
+
+    const results = {
+      profilesCompared: 0,
+      matchedProfiles: 0,
+      discrepancies: [],
+      consistencyScore: 0
+    };
+
+    try {
+      for (const uiProfile of uiProfiles.filter(profile => !profile.error)) {
+        results.profilesCompared++;
+        const addDiscrepancy = (field, apiValue, uiValue) =>
+          results.discrepancies.push({ userId: uiProfile.userId, field, apiValue, uiValue });
+        const discrepanciesBefore = results.discrepancies.length;
+
+        const apiUser = await this.client.getUser(uiProfile.userId);
+
+        if (!apiUser || !uiProfile.exists) {
+          if (Boolean(apiUser) !== Boolean(uiProfile.exists)) {
+            addDiscrepancy('exists', Boolean(apiUser), Boolean(uiProfile.exists));
           }
-          
-          if (apiItem.by !== uiArticle.author) {
-            results.discrepancies.push({
-              id: uiArticle.id,
-              field: 'author',
-              apiValue: apiItem.by,
-              uiValue: uiArticle.author
-            });
+        } else {
+          // The UI created date is the end of a window `createdPrecision` wide
+          const uiCreated = new Date(uiProfile.created).getTime();
+          const apiCreated = apiUser.created * 1000;
+          if (!uiProfile.created || apiCreated > uiCreated || apiCreated < uiCreated - (uiProfile.createdPrecision || 0)) {
+            addDiscrepancy('created', moment.unix(apiUser.created).toISOString(), uiProfile.createdText || uiProfile.created);
           }
-          
-          if (apiItem.score !== uiArticle.score) {
-            results.discrepancies.push({
-              id: uiArticle.id,
-              field: 'score',
-              apiValue: apiItem.score,
-              uiValue: uiArticle.score
-            });
+
+          if (!Number.isFinite(uiProfile.karma) || Math.abs(apiUser.karma - uiProfile.karma) > this.settings.karmaTolerance) {
+            addDiscrepancy('karma', apiUser.karma, uiProfile.karma);
           }
+
+          if (aboutToText(apiUser.about) !== aboutToText(uiProfile.about)) {
+            addDiscrepancy('about', aboutToText(apiUser.about), aboutToText(uiProfile.about));
+          }
+
+          const apiSubmitted = new Set((apiUser.submitted || []).map(String));
+          const unlisted = (uiProfile.seenArticleIds || []).filter(id => !apiSubmitted.has(String(id)));
+          if (unlisted.length > 0) {
+            addDiscrepancy('submitted', `missing ${unlisted.join(', ')}`, `seen ${uiProfile.seenArticleIds.join(', ')}`);
+          }
+        }
+
+        if (results.discrepancies.length === discrepanciesBefore) {
+          results.matchedProfiles++;
         }
       }
 
-      // Calculate consistency score
-      results.consistencyScore = results.totalArticles > 0 
-        ? ((results.matchedArticles - results.discrepancies.length) / results.matchedArticles) * 100 
+      results.consistencyScore = results.profilesCompared > 0
+        ? (results.matchedProfiles / results.profilesCompared) * 100
         : 0;
 
       if (results.consistencyScore >= 95) {
-        logTestStep(`API-UI consistency: ${results.consistencyScore.toFixed(1)}%`, 'success');
+        logTestStep(`Author profile consistency: ${results.consistencyScore.toFixed(1)}%`, 'success');
       } else {
-        logTestStep(`API-UI consistency: ${results.consistencyScore.toFixed(1)}% (${results.discrepancies.length} discrepancies)`, 'warning');
+        logTestStep(`Author profile consistency: ${results.consistencyScore.toFixed(1)}% (${results.discrepancies.length} discrepancies)`, 'warning');
       }
 
     } catch (error) {
       results.error = error.message;
-      logTestStep(`API-UI validation failed: ${error.message}`, 'error');
+      logTestStep(`Author profile validation failed: ${error.message}`, 'error');
     }
 
     return results;
@@ -0,0 +1,94 @@
+// HN API Schemas - Contract for every item type and for users, checked with utils/schemaValidator
+// Bump HN_SCHEMA_VERSION whenever a schema below changes; it is recorded with every contract run.
+
+const HN_SCHEMA_VERSION = '1.0.0';
+
+const id = { type: 'integer', minimum: 1 };
+const unixTime = { type: 'integer', minimum: 0 };
+const idList = { type: 'array', items: id };
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+// Fields every item may carry (https://github.com/HackerNews/API#items)
+const itemProperties = (type, properties) => ({
+  id,
+  type: { enum: [type] },
+  by: nonEmptyString,
+  time: unixTime,
+  deleted: { type: 'boolean' },
+  dead: { type: 'boolean' },
+  ...properties
+});
+
+const itemSchema = (type, required, properties) => ({
+  $id: `hn-api/${type}/${HN_SCHEMA_VERSION}`,
+  type: 'object',
+  required: ['id', 'type', 'time', ...required],
+  properties: itemProperties(type, properties),
+  additionalProperties: false
+});
+
+const ITEM_SCHEMAS = {
+  story: itemSchema('story', ['by', 'title'], {
+    title: nonEmptyString,
+    url: nonEmptyString,
+    text: { type: 'string' },
+    score: { type: 'integer', minimum: 0 },
+    descendants: { type: 'integer', minimum: 0 },
+    kids: idList
+  }),
+  comment: itemSchema('comment', ['by', 'parent'], {
+    parent: id,
+    text: { type: 'string' },
+    kids: idList
+  }),
+  job: itemSchema('job', ['by', 'title'], {
+    title: nonEmptyString,
+    url: nonEmptyString,
+    text: { type: 'string' },
+    score: { type: 'integer', minimum: 0 }
+  }),
+  poll: itemSchema('poll', ['by', 'title', 'parts'], {
+    title: nonEmptyString,
+    text: { type: 'string' },
+    score: { type: 'integer', minimum: 0 },
+    descendants: { type: 'integer', minimum: 0 },
+    kids: idList,
+    parts: { ...idList, minItems: 1 }
+  }),
+  pollopt: itemSchema('pollopt', ['by', 'poll'], {
+    poll: id,
+    text: { type: 'string' },
+    score: { type: 'integer', minimum: 0 }
+  })
+};
+
+const USER_SCHEMA = {
+  $id: `hn-api/user/${HN_SCHEMA_VERSION}`,
+  type: 'object',
+  required: ['id', 'created', 'karma'],
+  properties: {
+    id: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+    created: unixTime,
+    karma: { type: 'integer' },
+    about: { type: 'string' },
+    submitted: idList
+  },
+  additionalProperties: false
+};
+
+const ITEM_TYPES = Object.keys(ITEM_SCHEMAS);
+
+// Deleted items keep little more than their id and type
+const getItemSchema = (item) => {
+  const schema = ITEM_SCHEMAS[item?.type];
+  if (!schema || !item.deleted) return schema;
+  return { ...schema, required: ['id', 'type', 'deleted'] };
+};
+
+module.exports = {
+  HN_SCHEMA_VERSION,
+  ITEM_SCHEMAS,
+  ITEM_TYPES,
+  USER_SCHEMA,
+  getItemSchema
+};
@@ -0,0 +1,175 @@
+// HN API Load Profile - Ramp up to a steady number of concurrent virtual users, send a weighted
+// mix of endpoint requests for a fixed duration and check the latency/error SLOs (REQ-003)
+const HNApiClient = require('./hnApiClient');
+const { summarizeDurations } = require('../../utils/testUtils');
+
+// Load profile defaults for settings missing from the config file `api.load` section
+const LOAD_PROFILE_CONFIG = {
+  rampUpSeconds: 3, // Virtual users start evenly spread over this window
+  durationSeconds: 10, // Steady state at full concurrency after the ramp-up
+  concurrency: 10, // Virtual users, each with one request in flight
+  intervalSeconds: 1, // Throughput timeline bucket size
+  // Relative weights per endpoint; item and user requests pick from sampled ids
+  requestMix: { item: 60, newstories: 10, topstories: 10, maxitem: 10, user: 10 },
+  // REQ-003: API responses under 2 seconds for 95% of requests
+  slo: { responseTimeMs: 2000, percentile: 95, maxErrorRate: 1 }
+};
+
+const LATENCY_PERCENTILES = [50, 90, 95, 99];
+
+const pick = (values) => values[Math.floor(Math.random() * values.length)];
+
+// Weighted endpoint picker over the request mix; endpoints without a URL or ids are left out
+const createEndpointPicker = (requestMix, endpoints, ids) => {
+  const entries = Object.entries(requestMix).filter(([name, weight]) => {
+    if (weight <= 0 || !endpoints[name]) return false;
+    if (name === 'item') return ids.items.length > 0;
+    if (name === 'user') return ids.users.length > 0;
+    return true;
+  });
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (totalWeight === 0) {
+    throw new Error('Load profile request mix has no usable endpoint');
+  }
+
+  return () => {
+    let roll = Math.random() * totalWeight;
+    const [name] = entries.find(([, weight]) => (roll -= weight) < 0) || entries[entries.length - 1];
+    if (name === 'item') return { name, url: `${endpoints.item}/${pick(ids.items)}.json` };
+    if (name === 'user') return { name, url: `${endpoints.user}/${encodeURIComponent(pick(ids.users))}.json` };
+    return { name, url: endpoints[name] };
+  };
+};
+
+// Network errors are keyed "network"; everything else by HTTP status
+const statusKey = (sample) => (sample.status ? String(sample.status) : 'network');
+
+const countBy = (samples, keyOf) => samples.reduce((counts, sample) => {
+  const key = keyOf(sample);
+  counts[key] = (counts[key] || 0) + 1;
+  return counts;
+}, {});
+
+const summarizeSamples = (samples) => {
+  const errors = samples.filter(sample => !sample.ok).length;
+  return {
+    requests: samples.length,
+    errors,
+    errorRate: samples.length > 0 ? (errors / samples.length) * 100 : 0,
+    latency: summarizeDurations(samples.filter(sample => sample.ok).map(sample => sample.responseTime), LATENCY_PERCENTILES)
+  };
+};
+
+// Requests started per interval, with their errors and average latency
+const buildTimeline = (samples, intervalMs, totalMs) => {
+  const buckets = Array.from({ length: Math.max(1, Math.ceil(totalMs / intervalMs)) }, (_, index) => ({
+    second: (index * intervalMs) / 1000,
+    requests: 0,
+    errors: 0,
+    totalResponseTime: 0
+  }));
+
+  samples.forEach(sample => {
+    const bucket = buckets[Math.min(buckets.length - 1, Math.floor(sample.startedAt / intervalMs))];
+    bucket.requests++;
+    bucket.totalResponseTime += sample.responseTime;
+    if (!sample.ok) bucket.errors++;
+  });
+
+  return buckets.map(({ totalResponseTime, ...bucket }) => ({
+    ...bucket,
+    throughput: bucket.requests / (intervalMs / 1000),
+    averageResponseTime: bucket.requests > 0 ? Math.round(totalResponseTime / bucket.requests) : 0
+  }));
+};
+
+// The SLO holds when `percentile`% of requests answer within responseTimeMs and errors stay under maxErrorRate
+const evaluateSlo = (slo, samples, errorRate) => {
+  const withinThreshold = samples.length > 0
+    ? (samples.filter(sample => sample.ok && sample.responseTime <= slo.responseTimeMs).length / samples.length) * 100
+    : 0;
+
+  const checks = [
+    {
+      name: `Requests answered within ${slo.responseTimeMs}ms`,
+      expected: `>= ${slo.percentile}%`,
+      actual: withinThreshold,
+      passed: samples.length > 0 && withinThreshold >= slo.percentile
+    },
+    {
+      name: 'Error rate',
+      expected: `<= ${slo.maxErrorRate}%`,
+      actual: errorRate,
+      passed: errorRate <= slo.maxErrorRate
+    }
+  ];
+
+  return {
+    ...slo,
+    withinThreshold,
+    checks,
+    status: checks.every(check => check.passed) ? 'PASS' : 'FAIL'
+  };
+};
+
+// Run the profile; `ids` holds the item ids and user ids that item/user requests pick from.
+// Requests go through a dedicated client without cache or retries so every attempt is measured.
+const runLoadProfile = async ({ settings = {}, endpoints, profile = {}, ids }) => {
+  const config = {
+    ...LOAD_PROFILE_CONFIG,
+    ...profile,
+    requestMix: { ...(profile.requestMix || LOAD_PROFILE_CONFIG.requestMix) },
+    slo: { ...LOAD_PROFILE_CONFIG.slo, ...profile.slo }
+  };
+  const client = new HNApiClient({ ...settings, retries: 0, concurrency: config.concurrency, maxRequestLog: 0 }, endpoints);
+  const nextEndpoint = createEndpointPicker(config.requestMix, endpoints, ids);
+
+  const rampUpMs = config.rampUpSeconds * 1000;
+  const totalMs = rampUpMs + config.durationSeconds * 1000;
+  const samples = [];
+  const startTime = Date.now();
+
+  const virtualUser = async (index) => {
+    await new Promise(resolve => setTimeout(resolve, (index / config.concurrency) * rampUpMs));
+    while (Date.now() - startTime < totalMs) {
+      const { name, url } = nextEndpoint();
+      const startedAt = Date.now() - startTime;
+      const requestStart = Date.now();
+      try {
+        const response = await client.request(url, { cache: false });
+        samples.push({ endpoint: name, startedAt, responseTime: response.responseTime, status: response.status, ok: true });
+      } catch (error) {
+        samples.push({ endpoint: name, startedAt, responseTime: Date.now() - requestStart, status: error.response?.status || null, ok: false });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: config.concurrency }, (_, index) => virtualUser(index)));
+  const elapsedMs = Date.now() - startTime;
+
+  const overall = summarizeSamples(samples);
+  const byEndpoint = Object.fromEntries(
+    Object.keys(config.requestMix)
+      .map(name => [name, samples.filter(sample => sample.endpoint === name)])
+      .filter(([, endpointSamples]) => endpointSamples.length > 0)
+      .map(([name, endpointSamples]) => [name, summarizeSamples(endpointSamples)])
+  );
+
+  return {
+    profile: config,
+    elapsedMs,
+    ...overall,
+    throughput: samples.length / (elapsedMs / 1000),
+    statusCodes: countBy(samples, statusKey),
+    errorsByStatus: countBy(samples.filter(sample => !sample.ok), statusKey),
+    byEndpoint,
+    timeline: buildTimeline(samples, config.intervalSeconds * 1000, totalMs),
+    slo: evaluateSlo(config.slo, samples, overall.errorRate)
+  };
+};
+
+module.exports = {
+  LOAD_PROFILE_CONFIG,
+  LATENCY_PERCENTILES,
+  runLoadProfile
+};
@@ -1,11 +1,18 @@
 // Security Testing Module - Basic Security Validation
-const { chromium } = require('playwright');
+const crypto = require('crypto');
+const path = require('path');
 const chalk = require('chalk');
 const { logTestStep } = require('../../utils/testUtils');
+const { getAvailableBrowsers, launchBrowser } = require('../../utils/browserUtils');
+const LoginPage = require('../../pages/LoginPage');
 
-// Security Test Configuration
+// Site tested when neither `security.baseUrl` nor the run target sets one
+const HN_BASE_URL = 'https://news.ycombinator.com';
+
+// Security Test Configuration - defaults for settings missing from the config file `security` section
 const SECURITY_CONFIG = {
-  timeout: 15000,
+  timeout: 15000, // Per navigation
+  checkTimeout: 60000, // Per check, including all of its navigations
   xssPayloads: [
     '<script>alert("XSS")</script>',
     'javascript:alert("XSS")',
@@ -13,7 +20,10 @@ const SECURITY_CONFIG = {
     '<svg onload=alert("XSS")>',
     '"><script>alert("XSS")</script>'
   ],
-  testUrl: 'https://news.ycombinator.com/newest',
+  paths: ['/newest'], // Pages tested under the base URL
+  rateLimitAttempts: 5, // Failed logins sent while probing the login form for rate limiting
+  sessionCookie: 'user', // HN's session cookie, planted before login to test for session fixation
+  maxSessionCookieDays: 30, // Longest acceptable lifetime of a session cookie
   sensitivePatterns: [
     /password/i,
     /secret/i,
@@ -24,8 +34,243 @@ const SECURITY_CONFIG = {
   ]
 };
 
+// Checks run one at a time, each in a fresh browser context. `fallback` stands in for the result
+// of a check that failed or timed out; `hasFindings` decides whether evidence gets a screenshot
+const SECURITY_CHECKS = [
+  {
+    key: 'xssVulnerabilities',
+    method: 'testXSSVulnerabilities',
+    fallback: () => [],
+    hasFindings: result => result.length > 0
+  },
+  {
+    key: 'contentSecurityPolicy',
+    method: 'testContentSecurityPolicy',
+    fallback: () => ({ present: false, score: 0, issues: [] }),
+    hasFindings: result => result.issues.length > 0
+  },
+  {
+    key: 'sensitiveDataExposure',
+    method: 'testSensitiveDataExposure',
+    fallback: () => [],
+    hasFindings: result => result.length > 0
+  },
+  {
+    key: 'securityHeaders',
+    method: 'testSecurityHeaders',
+    fallback: () => ({ headers: {}, missing: [], issues: [], score: 0 }),
+    hasFindings: result => result.missing.length > 0 || result.issues.length > 0
+  },
+  {
+    key: 'inputValidation',
+    method: 'testInputValidation',
+    fallback: () => [],
+    hasFindings: result => result.length > 0
+  }
+];
+
+// Site-wide checks, run once per engine after the page checks. `path` is where each one starts;
+// `category` labels its merged findings. Checks marked `once` run a single time after every engine
+// is done: the rate-limit probe trips HN's login captcha, which would block every later login.
+const SITE_CHECKS = [
+  {
+    key: 'loginForm',
+    method: 'testLoginForm',
+    path: '/login',
+    category: 'login_form',
+    fallback: () => ({ found: false, issues: [] }),
+    hasFindings: result => result.issues.length > 0
+  },
+  {
+    key: 'cookies',
+    method: 'testCookieSecurity',
+    path: '/',
+    category: 'cookie',
+    fallback: () => ({ cookies: [], fixation: null, issues: [] }),
+    hasFindings: result => result.issues.length > 0
+  },
+  {
+    key: 'loginRateLimit',
+    method: 'testLoginRateLimit',
+    path: '/login',
+    category: 'login_form',
+    once: true,
+    fallback: () => ({ attempts: 0, limitedAfter: null, signal: null, error: null, issues: [] }),
+    hasFindings: result => result.issues.length > 0
+  }
+];
+
+// Points a site-wide finding takes off the overall score, the weights QualityMetricsTracker uses
+const SITE_SEVERITY_DEDUCTIONS = { high: 20, medium: 5, low: 1 };
+
+// Cookie names that usually carry a session; cookies set by the login response count too
+const SESSION_COOKIE_PATTERN = /sess|sid|auth|token|login|jwt|^user$/i;
+
+// Browsers cap cookie lifetimes at 400 days; anything longer is never honoured
+const MAX_COOKIE_DAYS = 400;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const lifetimeDays = (expiresAt) => (expiresAt === null ? null : Math.round(((expiresAt - Date.now()) / DAY_MS) * 10) / 10);
+
+// Name and lower-cased attributes of a Set-Cookie header; the value is dropped so results never hold tokens
+const parseSetCookie = (header) => {
+  const [pair, ...attributes] = header.split(';').map(part => part.trim());
+  return {
+    name: pair.split('=')[0].trim(),
+    attributes: Object.fromEntries(attributes.filter(Boolean).map(attribute => {
+      const [key, ...value] = attribute.split('=');
+      return [key.trim().toLowerCase(), value.join('=').trim() || true];
+    }))
+  };
+};
+
+// Max-Age wins over Expires, as in browsers; null for cookies that end with the browser session
+const cookieFromHeader = ({ name, attributes }) => {
+  const maxAge = attributes['max-age'] !== undefined ? Number(attributes['max-age']) : null;
+  const expiresAt = maxAge !== null ? Date.now() + maxAge * 1000
+    : typeof attributes.expires === 'string' ? Date.parse(attributes.expires) : null;
+  return {
+    name,
+    source: 'set-cookie',
+    domain: typeof attributes.domain === 'string' ? attributes.domain.replace(/^\./, '').toLowerCase() : null,
+    secure: Boolean(attributes.secure),
+    httpOnly: Boolean(attributes.httponly),
+    sameSite: typeof attributes.samesite === 'string' ? attributes.samesite.toLowerCase() : null,
+    lifetimeDays: lifetimeDays(expiresAt)
+  };
+};
+
+// Cookies set by scripts, from context.cookies(); a leading dot marks a Domain cookie
+const cookieFromJar = (cookie) => ({
+  name: cookie.name,
+  source: 'script',
+  domain: cookie.domain.startsWith('.') ? cookie.domain.slice(1) : null,
+  secure: cookie.secure,
+  httpOnly: cookie.httpOnly,
+  sameSite: cookie.sameSite ? cookie.sameSite.toLowerCase() : null,
+  lifetimeDays: lifetimeDays(cookie.expires > 0 ? cookie.expires * 1000 : null)
+});
+
+// Findings for one cookie; session cookies are held to a stricter standard
+const auditCookie = (cookie, hostname, maxSessionCookieDays) => {
+  const issues = [];
+  const add = (type, severity, description) => issues.push({ type, cookie: cookie.name, severity, description });
+
+  if (!cookie.secure) {
+    add('insecure_cookie', cookie.session ? 'high' : 'low', `Cookie ${cookie.name} has no Secure flag and can be sent over plain HTTP`);
+  }
+  if (cookie.session && !cookie.httpOnly) {
+    add('cookie_missing_httponly', 'high', `Session cookie ${cookie.name} has no HttpOnly flag and is readable from scripts`);
+  }
+  if (!cookie.sameSite) {
+    add('cookie_missing_samesite', cookie.session ? 'medium' : 'low', `Cookie ${cookie.name} has no SameSite attribute`);
+  } else if (cookie.sameSite === 'none' && !cookie.secure) {
+    add('cookie_samesite_none_insecure', 'medium', `Cookie ${cookie.name} is SameSite=None without Secure`);
+  }
+
+  const maxDays = cookie.session ? maxSessionCookieDays : MAX_COOKIE_DAYS;
+  if (cookie.lifetimeDays !== null && cookie.lifetimeDays > maxDays) {
+    add('long_lived_cookie', cookie.session ? 'medium' : 'low', `Cookie ${cookie.name} lives ${Math.round(cookie.lifetimeDays)} days (limit ${maxDays})`);
+  }
+  if (cookie.domain && cookie.domain !== hostname) {
+    add('broad_cookie_domain', cookie.session ? 'medium' : 'low', `Cookie ${cookie.name} is scoped to ${cookie.domain} and shared with its subdomains`);
+  }
+  return issues;
+};
+
+// Text fields that take typed input; hidden fields and buttons are left alone
+const XSS_INPUT_SELECTOR = 'input:not([type=hidden]):not([type=submit]):not([type=button]):not([type=checkbox]):not([type=radio]):not([type=file]), textarea, [contenteditable]';
+
+// Runs in the browser: whether a field belongs to the login or create-account form. Payloads typed
+// there would send failed logins (tripping HN's captcha for every later login) or create accounts,
+// so the page checks leave those forms to testLoginForm
+const isAccountField = (element) => {
+  const form = element.closest('form');
+  return Boolean(form && (form.matches('[action="login"]') || form.querySelector('input[name="pw"]')));
+};
+
+// Fields matching the selector that the page checks may type into
+const findFillableFields = async (page, selector) => {
+  const fields = [];
+  for (const field of await page.$$(selector)) {
+    if (!(await field.evaluate(isAccountField))) fields.push(field);
+  }
+  return fields;
+};
+
+// Time for onerror/onload payloads to fire after the page loads
+const XSS_SETTLE_MS = 500;
+
+// Payloads call alert(); each call is replaced so it also sets window.__xss_<canary> and alerts the
+// canary, which ties a dialog or a set canary to the exact payload that caused it
+const armPayload = (payload, canary) =>
+  payload.replace(/alert\([^)]*\)/g, `(window.__xss_${canary}=1,alert('${canary}'))`);
+
+// Runs in the page: places where the canary sits unescaped in an executable position - an element
+// the payload created, an event handler attribute, or a javascript: URL
+const findXssSinks = (canary) => {
+  const sinks = [];
+  const fragmentOf = element => element.outerHTML.slice(0, 300);
+  document.querySelectorAll('*').forEach(element => {
+    const tag = element.tagName.toLowerCase();
+    if (tag === 'script' && element.textContent.trim().startsWith(`(window.__xss_${canary}=`)) {
+      sinks.push({ sink: 'script_element', fragment: fragmentOf(element) });
+      return;
+    }
+    [...element.attributes].forEach(attribute => {
+      if (!attribute.value.includes(canary)) return;
+      const name = attribute.name.toLowerCase();
+      if (name.startsWith('on')) {
+        sinks.push({ sink: `${tag}[${name}]`, fragment: fragmentOf(element) });
+      } else if (['href', 'src', 'action', 'formaction', 'data'].includes(name) && /^\s*javascript:/i.test(attribute.value)) {
+        sinks.push({ sink: `${tag}[${name}]`, fragment: fragmentOf(element) });
+      }
+    });
+  });
+  return sinks;
+};
+
+// Set a query parameter without breaking paths that already carry a query (item?id=)
+const withQueryParam = (url, name, value) => {
+  const parsed = new URL(url);
+  parsed.searchParams.set(name, value);
+  return parsed.toString();
+};
+
+// The same finding seen on several engines is reported once, listing every engine
+const mergeFindings = (runs, key, category, select = run => run[key]) => {
+  const merged = new Map();
+  runs.forEach(run => select(run).forEach(finding => {
+    const id = JSON.stringify({ ...finding, url: run.url });
+    if (!merged.has(id)) merged.set(id, { ...finding, category, url: run.url, browsers: [], evidence: [] });
+    merged.get(id).browsers.push(run.browser);
+    merged.get(id).evidence.push({ browser: run.browser, ...run.checks[key].evidence });
+  }));
+  return [...merged.values()];
+};
+
 class SecurityTester {
-  constructor() {
+  // options.browsers: engines to test on; options.launchConfig: run config handed to launchBrowser
+  constructor(securityConfig = {}, target = {}, options = {}) {
+    this.settings = { ...SECURITY_CONFIG, ...securityConfig };
+    // Config files hold patterns as strings; match them case-insensitively like the defaults
+    this.settings.sensitivePatterns = this.settings.sensitivePatterns.map(pattern =>
+      pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i')
+    );
+    // An explicit security.baseUrl (e.g. a staging mirror) wins over the run target
+    this.baseUrl = (this.settings.baseUrl || target.baseUrl || HN_BASE_URL).replace(/\/$/, '');
+    this.targets = this.settings.paths.map(targetPath => ({
+      path: targetPath,
+      url: `${this.baseUrl}${targetPath.startsWith('/') ? '' : '/'}${targetPath}`
+    }));
+    // options.credentials ({ username, password }) adds a real login and the logged-in /submit form
+    this.credentials = options.credentials || null;
+    this.browsers = options.browsers || ['chromium'];
+    this.launchConfig = options.launchConfig || { browser: { headless: true } };
+    this.screenshotDir = this.launchConfig.output?.dir || './reports';
+    // Shared by all XSS canaries of this run, so the same injection gets the same canary on every engine
+    this.canaryToken = crypto.randomBytes(4).toString('hex');
     this.testResults = {
       xssVulnerabilities: [],
       contentSecurityPolicy: null,
@@ -36,101 +281,114 @@ class SecurityTester {
     };
   }
 
-  // Test for XSS vulnerabilities
-  async testXSSVulnerabilities(page) {
+  // Test for XSS vulnerabilities: every payload is armed with its own canary and injected through
+  // each text input and the `q`/`search` URL parameters. An injection counts when it opens a dialog,
+  // sets its canary or lands unescaped in an executable DOM position
+  async testXSSVulnerabilities(page, url) {
     logTestStep('Testing for XSS vulnerabilities...', 'info');
     
     const vulnerabilities = [];
+    const dialogs = [];
+    let attempt = 0;
+    const nextCanary = () => `${this.canaryToken}_${attempt++}`;
+
+    // Dialogs block the page until handled; the canary in their message ties them to a payload
+    page.on('dialog', dialog => {
+      dialogs.push(dialog.message());
+      dialog.dismiss().catch(() => {});
+    });
+
+    const inspect = async (canary, payload, injection) => {
+      // Give event-handler payloads (onerror, onload) a moment to fire
+      await page.waitForLoadState('domcontentloaded').catch(() => {});
+      await page.waitForTimeout(XSS_SETTLE_MS);
+
+      const dialogOpened = dialogs.includes(canary);
+      const canarySet = (await Promise.all(page.frames().map(frame =>
+        frame.evaluate(name => window[name] === 1, `__xss_${canary}`).catch(() => false)
+      ))).some(Boolean);
+      const sinks = await page.evaluate(findXssSinks, canary).catch(() => []);
+
+      if (!dialogOpened && !canarySet && sinks.length === 0) return;
+
+      const executed = dialogOpened || canarySet;
+      const detectedBy = [dialogOpened && 'dialog', canarySet && 'canary', sinks.length > 0 && 'dom'].filter(Boolean);
+      vulnerabilities.push({
+        type: 'XSS',
+        payload,
+        ...injection,
+        sink: sinks[0]?.sink || 'script_execution',
+        fragment: sinks[0]?.fragment || null,
+        executed,
+        detectedBy,
+        severity: executed ? 'high' : 'medium',
+        description: executed
+          ? `Payload executed via ${injection.location} (${detectedBy.join(', ')})`
+          : `Payload reflected unescaped via ${injection.location} but did not execute`
+      });
+    };
     
     try {
       // Navigate to target page
-      await page.goto(SECURITY_CONFIG.testUrl, { timeout: SECURITY_CONFIG.timeout });
+      await page.goto(url, { timeout: this.settings.timeout });
       
-      // Check for existing input fields
-      const inputFields = await page.$$('input, textarea, [contenteditable]');
+      // Text inputs are re-queried after every reload, so each payload starts from a fresh form
+      const fieldCount = (await findFillableFields(page, XSS_INPUT_SELECTOR)).length;
       
-      if (inputFields.length === 0) {
+      if (fieldCount === 0) {
         logTestStep('No input fields found for XSS testing', 'info');
-        return vulnerabilities;
       }
 
-      // Test each XSS payload
-      for (const payload of SECURITY_CONFIG.xssPayloads) {
-        try {
-          // Test in search or input fields if available
-          for (const input of inputFields) {
-            try {
-              await input.fill(payload);
-              await input.press('Enter');
-              
-              // Check if script executed (basic detection)
-              const alertHandled = await page.evaluate(() => {
-                return window.alert.toString().includes('[native code]');
-              });
-              
-              if (!alertHandled) {
-                vulnerabilities.push({
-                  type: 'XSS',
-                  payload,
-                  location: 'input_field',
-                  severity: 'high',
-                  description: `Potential XSS vulnerability with payload: ${payload}`
-                });
-              }
-            } catch (error) {
-              // Input might not accept the payload, which is good
-              continue;
-            }
+      for (const template of this.settings.xssPayloads) {
+        for (let index = 0; index < fieldCount; index++) {
+          const canary = nextCanary();
+          const payload = armPayload(template, canary);
+          try {
+            await page.goto(url, { timeout: this.settings.timeout });
+            const input = (await findFillableFields(page, XSS_INPUT_SELECTOR))[index];
+            if (!input) continue;
+            const field = await input.evaluate(element => element.name || element.id || element.tagName.toLowerCase());
+            await input.fill(payload);
+            await input.press('Enter');
+            await inspect(canary, payload, { location: 'input_field', field });
+          } catch (error) {
+            // Input might not accept the payload, which is good
+            continue;
           }
-        } catch (error) {
-          // Continue with next payload
-          continue;
         }
       }
       
       // Test URL parameters for XSS
-      const testUrls = [
-        `${SECURITY_CONFIG.testUrl}?q=<script>alert("XSS")</script>`,
-        `${SECURITY_CONFIG.testUrl}?search=javascript:alert("XSS")`
-      ];
-      
-      for (const testUrl of testUrls) {
-        try {
-          await page.goto(testUrl, { timeout: 5000 });
-          
-          // Check if payload appears in page content unescaped
-          const content = await page.content();
-          if (content.includes('<script>') || content.includes('javascript:')) {
-            vulnerabilities.push({
-              type: 'XSS',
-              payload: testUrl,
-              location: 'url_parameter',
-              severity: 'high',
-              description: 'Potential XSS vulnerability in URL parameters'
-            });
+      for (const template of this.settings.xssPayloads) {
+        for (const parameter of ['q', 'search']) {
+          const canary = nextCanary();
+          const payload = armPayload(template, canary);
+          try {
+            await page.goto(withQueryParam(url, parameter, payload), { timeout: 5000 });
+            await inspect(canary, payload, { location: 'url_parameter', parameter });
+          } catch (error) {
+            // URL might be rejected, which is good
+            continue;
           }
-        } catch (error) {
-          // URL might be rejected, which is good
-          continue;
         }
       }
       
       if (vulnerabilities.length === 0) {
         logTestStep('No XSS vulnerabilities detected', 'success');
       } else {
-        logTestStep(`${vulnerabilities.length} potential XSS vulnerabilities found`, 'warning');
+        logTestStep(`${vulnerabilities.length} XSS injections found (${vulnerabilities.filter(finding => finding.executed).length} executed)`, 'warning');
       }
       
     } catch (error) {
       logTestStep(`XSS testing failed: ${error.message}`, 'error');
-      // Return empty array on complete failure - no vulnerabilities found (could be false negative)
+      // Return what was found before the failure (could be a false negative)
     }
     
     return vulnerabilities;
   }
 
   // Test Content Security Policy
-  async testContentSecurityPolicy(page) {
+  async testContentSecurityPolicy(page, url) {
     logTestStep('Testing Content Security Policy...', 'info');
     
     const cspResult = {
@@ -141,7 +399,7 @@ class SecurityTester {
     };
     
     try {
-      const response = await page.goto(SECURITY_CONFIG.testUrl, { timeout: SECURITY_CONFIG.timeout });
+      const response = await page.goto(url, { timeout: this.settings.timeout });
       const headers = response.headers();
       
       // Check for CSP headers
@@ -217,21 +475,21 @@ class SecurityTester {
     return cspResult;
   }
 
-  // Test for sensitive data exposure
-  async testSensitiveDataExposure(page) {
+  // Test for sensitive data exposure; well-known sensitive endpoints are probed once per site
+  async testSensitiveDataExposure(page, url, { probeEndpoints = true } = {}) {
     logTestStep('Testing for sensitive data exposure...', 'info');
     
     const exposures = [];
     
     try {
-      await page.goto(SECURITY_CONFIG.testUrl, { timeout: SECURITY_CONFIG.timeout });
+      await page.goto(url, { timeout: this.settings.timeout });
       
       // Check page source for sensitive patterns
       const content = await page.content();
       const scripts = await page.$$eval('script', scripts => scripts.map(s => s.textContent));
       
       // Check HTML content
-      SECURITY_CONFIG.sensitivePatterns.forEach(pattern => {
+      this.settings.sensitivePatterns.forEach(pattern => {
         const matches = content.match(pattern);
         if (matches) {
           exposures.push({
@@ -247,7 +505,7 @@ class SecurityTester {
       // Check JavaScript for sensitive patterns
       scripts.forEach((script, index) => {
         if (script) {
-          SECURITY_CONFIG.sensitivePatterns.forEach(pattern => {
+          this.settings.sensitivePatterns.forEach(pattern => {
             const matches = script.match(pattern);
             if (matches) {
               exposures.push({
@@ -264,17 +522,17 @@ class SecurityTester {
       });
       
       // Check for common sensitive endpoints
-      const sensitiveEndpoints = [
+      const sensitiveEndpoints = probeEndpoints ? [
         '/admin',
         '/api/keys',
         '/config',
         '/.env',
         '/secrets'
-      ];
+      ] : [];
       
       for (const endpoint of sensitiveEndpoints) {
         try {
-          const response = await page.goto(`${SECURITY_CONFIG.testUrl}${endpoint}`, { timeout: 5000 });
+          const response = await page.goto(new URL(endpoint, url).toString(), { timeout: 5000 });
           if (response.status() === 200) {
             exposures.push({
               type: 'sensitive_endpoint',
@@ -304,7 +562,7 @@ class SecurityTester {
   }
 
   // Test security headers
-  async testSecurityHeaders(page) {
+  async testSecurityHeaders(page, url) {
     logTestStep('Testing security headers...', 'info');
     
     const headerResults = {
@@ -315,7 +573,7 @@ class SecurityTester {
     };
     
     try {
-      const response = await page.goto(SECURITY_CONFIG.testUrl, { timeout: SECURITY_CONFIG.timeout });
+      const response = await page.goto(url, { timeout: this.settings.timeout });
       const headers = response.headers();
       
       // Required security headers
@@ -398,16 +656,16 @@ class SecurityTester {
   }
 
   // Test input validation
-  async testInputValidation(page) {
+  async testInputValidation(page, url) {
     logTestStep('Testing input validation...', 'info');
     
     const validationResults = [];
     
     try {
-      await page.goto(SECURITY_CONFIG.testUrl, { timeout: SECURITY_CONFIG.timeout });
+      await page.goto(url, { timeout: this.settings.timeout });
       
-      // Find input fields
-      const inputFields = await page.$$('input, textarea');
+      // Find input fields outside the login and create-account forms
+      const inputFields = await findFillableFields(page, 'input, textarea');
       
       if (inputFields.length === 0) {
         logTestStep('No input fields found for validation testing', 'info');
@@ -465,6 +723,269 @@ class SecurityTester {
     return validationResults;
   }
 
+  // Test the login form: how it posts, its fnid (CSRF) token and whether error messages reveal which
+  // accounts exist. With credentials it also logs in and checks the logged-in /submit form carries
+  // an fnid token. Rate limiting is probed separately, once per site (testLoginRateLimit).
+  async testLoginForm(page, url, { browserName = 'chromium' } = {}) {
+    logTestStep('Testing login form...', 'info');
+
+    const loginPage = new LoginPage(page, browserName, { baseUrl: this.baseUrl });
+    const result = {
+      found: false,
+      method: null,
+      hasFnid: false,
+      errorMessages: {},
+      authenticated: null,
+      issues: []
+    };
+    const { issues } = result;
+    // Failed attempts use a made-up account; a wrong password is only ever sent for the
+    // fixture's own account, so a real account never collects failed logins
+    const unknownUser = `hnqa_${crypto.randomBytes(4).toString('hex')}`;
+    const randomPassword = () => crypto.randomBytes(8).toString('hex');
+
+    try {
+      await loginPage.navigateToLogin();
+      const form = await loginPage.readLoginForm();
+      if (!form) {
+        logTestStep('No login form found', 'info');
+        return result;
+      }
+
+      Object.assign(result, { found: true, method: form.method, hasFnid: form.hasFnid });
+      if (form.method !== 'post') {
+        issues.push({
+          type: 'credentials_in_url',
+          severity: 'high',
+          description: `Login form submits credentials with ${form.method.toUpperCase()}`
+        });
+      }
+      if (!form.fields.some(field => field.type === 'password')) {
+        issues.push({
+          type: 'unmasked_password',
+          severity: 'medium',
+          description: 'Login form has no password field'
+        });
+      }
+      if (!form.hasFnid) {
+        issues.push({
+          type: 'missing_csrf_token',
+          form: 'login',
+          severity: 'low',
+          description: 'Login form has no fnid token, so other sites can submit it (login CSRF)'
+        });
+      }
+
+      // An unknown user and a wrong password must get the same message
+      const unknown = await loginPage.submitLogin(unknownUser, randomPassword());
+      result.errorMessages.unknownUser = unknown.message;
+      if (unknown.status >= 500) {
+        issues.push({
+          type: 'login_server_error',
+          severity: 'medium',
+          description: `Failed login answered with HTTP ${unknown.status}`
+        });
+      }
+      if (this.credentials?.source === 'fixture') {
+        const wrongPassword = await loginPage.submitLogin(this.credentials.username, randomPassword());
+        result.errorMessages.wrongPassword = wrongPassword.message;
+        if (!unknown.rateLimited && !wrongPassword.rateLimited && wrongPassword.message !== unknown.message) {
+          issues.push({
+            type: 'user_enumeration',
+            severity: 'medium',
+            description: `Login errors differ for unknown users ("${unknown.message}") and wrong passwords ("${wrongPassword.message}")`
+          });
+        }
+      }
+
+      if (this.credentials) {
+        const login = await loginPage.submitLogin(this.credentials.username, this.credentials.password);
+        result.authenticated = { loggedIn: login.loggedIn, message: login.loggedIn ? null : login.message, submitFormHasFnid: null };
+        if (login.loggedIn) {
+          await page.goto(`${this.baseUrl}/submit`, { timeout: this.settings.timeout });
+          const submitForm = (await loginPage.readForms()).find(candidate => candidate.method === 'post');
+          result.authenticated.submitFormHasFnid = Boolean(submitForm?.hasFnid);
+          if (!submitForm?.hasFnid) {
+            issues.push({
+              type: 'missing_csrf_token',
+              form: 'submit',
+              severity: 'high',
+              description: 'Logged-in /submit form has no fnid token'
+            });
+          }
+        } else {
+          logTestStep(`Login as ${this.credentials.username} failed: ${login.message}`, 'warning');
+        }
+        await page.context().clearCookies();
+      }
+
+      if (issues.length === 0) {
+        logTestStep('Login form checks passed', 'success');
+      } else {
+        logTestStep(`${issues.length} login form issues found`, 'warning');
+      }
+
+    } catch (error) {
+      logTestStep(`Login form testing failed: ${error.message}`, 'error');
+      // Return what was found before the failure (could be a false negative)
+    }
+
+    return result;
+  }
+
+  // Failed logins for a made-up account should be throttled (HN asks for a captcha) within
+  // rateLimitAttempts. Runs once per site, after every login the other checks need.
+  async testLoginRateLimit(page, url, { browserName = 'chromium' } = {}) {
+    logTestStep('Testing login rate limiting...', 'info');
+
+    const loginPage = new LoginPage(page, browserName, { baseUrl: this.baseUrl });
+    const result = { attempts: 0, limitedAfter: null, signal: null, error: null, issues: [] };
+    const unknownUser = `hnqa_${crypto.randomBytes(4).toString('hex')}`;
+
+    for (let attempt = 1; attempt <= this.settings.rateLimitAttempts; attempt++) {
+      result.attempts = attempt;
+      try {
+        const outcome = await loginPage.submitLogin(unknownUser, crypto.randomBytes(8).toString('hex'));
+        if (outcome.rateLimited) {
+          Object.assign(result, { limitedAfter: attempt, signal: outcome.message });
+          break;
+        }
+      } catch (error) {
+        result.error = error.message;
+        break;
+      }
+    }
+
+    if (result.limitedAfter !== null) {
+      logTestStep(`Login rate limited after ${result.limitedAfter} failed attempts`, 'success');
+    } else if (result.error) {
+      logTestStep(`Login rate limit probe failed: ${result.error}`, 'error');
+    } else {
+      result.issues.push({
+        type: 'no_rate_limit',
+        severity: 'medium',
+        description: `No rate limiting after ${result.attempts} failed logins`
+      });
+      logTestStep(result.issues[0].description, 'warning');
+    }
+
+    return result;
+  }
+
+  // Audit the cookies set while browsing the target pages and logging in: Secure, HttpOnly,
+  // SameSite, lifetime and domain scope. With credentials it also tests session fixation: a
+  // session cookie planted before login must be replaced, and so must any pre-login session
+  // cookie. Only cookie names and attributes are recorded, never their values.
+  async testCookieSecurity(page, url, { browserName = 'chromium' } = {}) {
+    logTestStep('Testing cookie and session security...', 'info');
+
+    const context = page.context();
+    const hostname = new URL(this.baseUrl).hostname;
+    const result = { cookies: [], fixation: null, issues: [] };
+    const { issues } = result;
+    const setCookies = [];
+    const headerReads = [];
+    let phase = 'browsing';
+    let planted = null;
+
+    page.on('response', response => {
+      const responsePhase = phase;
+      headerReads.push(response.headersArray()
+        .then(headers => headers
+          .filter(header => header.name.toLowerCase() === 'set-cookie')
+          .flatMap(header => header.value.split('\n'))
+          .forEach(value => setCookies.push({ ...parseSetCookie(value), phase: responsePhase })))
+        .catch(() => {}));
+    });
+
+    try {
+      for (const target of this.targets) {
+        try {
+          await page.goto(target.url, { timeout: this.settings.timeout });
+        } catch (error) {
+          logTestStep(`Cookie check could not load ${target.path}: ${error.message}`, 'warning');
+        }
+      }
+
+      if (this.credentials) {
+        const { sessionCookie } = this.settings;
+        const beforeLogin = await context.cookies();
+        planted = `${this.credentials.username}&hnqa_${crypto.randomBytes(8).toString('hex')}`;
+        await context.addCookies([{ name: sessionCookie, value: planted, url: this.baseUrl }]);
+
+        phase = 'login';
+        const login = await new LoginPage(page, browserName, { baseUrl: this.baseUrl })
+          .submitLogin(this.credentials.username, this.credentials.password);
+        phase = 'browsing';
+
+        const afterLogin = await context.cookies();
+        const sessionAfter = afterLogin.find(cookie => cookie.name === sessionCookie);
+        result.fixation = {
+          loggedIn: login.loggedIn,
+          message: login.loggedIn ? null : login.message,
+          sessionCookie,
+          plantedValueKept: login.loggedIn ? sessionAfter?.value === planted : null,
+          notRotated: beforeLogin
+            .filter(cookie => SESSION_COOKIE_PATTERN.test(cookie.name))
+            .filter(cookie => afterLogin.some(after =>
+              after.name === cookie.name && after.domain === cookie.domain && after.value === cookie.value))
+            .map(cookie => cookie.name)
+        };
+
+        if (!login.loggedIn) {
+          logTestStep(`Session fixation not tested: login failed (${login.message})`, 'warning');
+        } else if (result.fixation.plantedValueKept) {
+          issues.push({
+            type: 'session_fixation',
+            cookie: sessionCookie,
+            severity: 'high',
+            description: `Session cookie ${sessionCookie} planted before login is still used after login`
+          });
+        }
+        if (login.loggedIn) {
+          result.fixation.notRotated.forEach(name => issues.push({
+            type: 'session_not_rotated',
+            cookie: name,
+            severity: 'medium',
+            description: `Session cookie ${name} keeps its pre-login value after login`
+          }));
+        }
+      }
+
+      await Promise.all(headerReads);
+      const jar = await context.cookies();
+
+      // Server-set cookies are judged by the attributes of their latest Set-Cookie header;
+      // cookies only found in the jar were set by scripts. Deletions and the planted cookie are skipped.
+      const latestHeaders = new Map(setCookies.map(header => [header.name, header]));
+      const loginCookies = new Set(setCookies.filter(header => header.phase === 'login').map(header => header.name));
+      const records = [
+        ...[...latestHeaders.values()].map(cookieFromHeader),
+        ...jar.filter(cookie => !latestHeaders.has(cookie.name) && cookie.value !== planted).map(cookieFromJar)
+      ]
+        .filter(cookie => cookie.lifetimeDays === null || cookie.lifetimeDays > 0)
+        .map(cookie => ({
+          ...cookie,
+          session: SESSION_COOKIE_PATTERN.test(cookie.name) || cookie.name === this.settings.sessionCookie || loginCookies.has(cookie.name)
+        }));
+
+      result.cookies = records;
+      records.forEach(cookie => issues.push(...auditCookie(cookie, hostname, this.settings.maxSessionCookieDays)));
+
+      if (issues.length === 0) {
+        logTestStep(`${records.length} cookies audited, no issues`, 'success');
+      } else {
+        logTestStep(`${records.length} cookies audited, ${issues.length} issues found`, 'warning');
+      }
+
+    } catch (error) {
+      logTestStep(`Cookie testing failed: ${error.message}`, 'error');
+      // Return what was found before the failure (could be a false negative)
+    }
+
+    return result;
+  }
+
   // Calculate overall security score
   calculateSecurityScore(testResults) {
     const weights = {
@@ -509,92 +1030,233 @@ class SecurityTester {
     };
   }
 
-  // Run all security tests
-  async runSecurityTests() {
-    console.log(chalk.blue.bold('\n🔒 Running Security Test Suite...'));
-    
-    let browser;
+  // Run one check in its own browser context, bounded by `checkTimeout`. The evidence records
+  // where the page ended up, the status of its last document response and, on a finding, a screenshot
+  async runCheck(browser, browserName, target, check, options) {
+    const startTime = Date.now();
+    const outcome = { status: 'completed', durationMs: 0, error: null, evidence: { finalUrl: null, status: null, screenshot: null } };
+    let context;
+    let page;
+    let timer;
+    let timedOut = false;
+    let documentStatus = null;
+    let result;
+
     try {
-      browser = await chromium.launch({ headless: true });
-      const context = await browser.newContext();
-      const page = await context.newPage();
-      
-      // Run all security tests with individual error handling
-      const [
-        xssVulnerabilities,
-        contentSecurityPolicy,
-        sensitiveDataExposure,
-        securityHeaders,
-        inputValidation
-      ] = await Promise.allSettled([
-        this.testXSSVulnerabilities(page),
-        this.testContentSecurityPolicy(page),
-        this.testSensitiveDataExposure(page),
-        this.testSecurityHeaders(page),
-        this.testInputValidation(page)
-      ]);
-      
-      // Compile results with safe defaults for failed tests
-      this.testResults = {
-        xssVulnerabilities: xssVulnerabilities.status === 'fulfilled' ? xssVulnerabilities.value : [],
-        contentSecurityPolicy: contentSecurityPolicy.status === 'fulfilled' ? contentSecurityPolicy.value : { present: false, score: 0, issues: [] },
-        sensitiveDataExposure: sensitiveDataExposure.status === 'fulfilled' ? sensitiveDataExposure.value : [],
-        securityHeaders: securityHeaders.status === 'fulfilled' ? securityHeaders.value : { headers: {}, missing: [], issues: [], score: 0 },
-        inputValidation: inputValidation.status === 'fulfilled' ? inputValidation.value : [],
-        timestamp: new Date().toISOString()
-      };
-      
-      // Calculate overall security score
-      const securityScore = this.calculateSecurityScore(this.testResults);
-      this.testResults.overallSecurityScore = securityScore;
-      
-      // Extract actual arrays from settled results
-      const xssVulns = this.testResults.xssVulnerabilities;
-      const sensitiveExposures = this.testResults.sensitiveDataExposure;
-      const inputValidationIssues = this.testResults.inputValidation;
-      
-      // Create consolidated vulnerabilities list for quality metrics
-      this.testResults.vulnerabilities = [
-        ...xssVulns.map(v => ({ ...v, category: 'xss' })),
-        ...sensitiveExposures.map(v => ({ ...v, category: 'sensitive_data' })),
-        ...inputValidationIssues.map(v => ({ ...v, category: 'input_validation' }))
-      ];
-      
-      // Generate summary
-      const totalVulnerabilities = this.testResults.vulnerabilities.length;
-      
-      const summary = {
-        totalVulnerabilities,
-        securityScore: securityScore.overall,
-        status: securityScore.overall >= 90 ? 'PASS' : securityScore.overall >= 70 ? 'WARN' : 'FAIL',
-        recommendations: this.generateSecurityRecommendations()
-      };
-      
-      this.testResults.summary = summary;
-      
-      // Provide context about security test results
-      if (summary.status === 'FAIL' && securityScore.overall < 70) {
-        console.log(chalk.blue(`\n🔒 Security Test Results: ${securityScore.overall}/100 (${summary.status} - Expected in some environments)`));
-        console.log(chalk.yellow(`   ℹ️  Browser security policies may block navigation attempts`));
-        console.log(chalk.yellow(`   ℹ️  These failures don't impact core functionality validation`));
-      } else {
-        console.log(chalk.blue(`\n🔒 Security Test Results: ${securityScore.overall}/100 (${summary.status})`));
-      }
-      
-      if (totalVulnerabilities > 0) {
-        console.log(chalk.yellow(`   ⚠️  ${totalVulnerabilities} potential vulnerabilities found`));
+      context = await browser.newContext();
+      page = await context.newPage();
+      page.setDefaultTimeout(this.settings.timeout);
+      page.on('response', response => {
+        if (response.request().isNavigationRequest() && response.frame() === page.mainFrame()) {
+          documentStatus = response.status();
+        }
+      });
+
+      const running = this[check.method](page, target.url, options);
+      running.catch(() => {}); // Settles after a timeout, once the context is closed
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          timedOut = true;
+          reject(new Error(`${check.key} timed out after ${this.settings.checkTimeout}ms`));
+        }, this.settings.checkTimeout);
+      });
+      result = await Promise.race([running, timeout]);
+      outcome.evidence.finalUrl = page.url();
+      outcome.evidence.status = documentStatus;
+
+      if (check.hasFindings(result)) {
+        const filename = `security-${browserName}-${check.key}-${target.path.replace(/[^a-z0-9]+/gi, '_')}-${Date.now()}.png`;
+        try {
+          await page.screenshot({ path: path.join(this.screenshotDir, filename), fullPage: true });
+          outcome.evidence.screenshot = filename;
+        } catch (screenshotError) {
+          logTestStep(`Could not capture ${check.key} screenshot: ${screenshotError.message}`, 'warning');
+        }
       }
-      
-      return this.testResults;
-      
     } catch (error) {
-      console.error(chalk.red(`Security testing failed: ${error.message}`));
-      throw error;
+      outcome.status = timedOut ? 'timeout' : 'error';
+      outcome.error = error.message;
+      outcome.evidence.finalUrl = page && !page.isClosed() ? page.url() : null;
+      outcome.evidence.status = documentStatus;
+      result = check.fallback();
+      logTestStep(`${check.key} on ${browserName} ${target.path}: ${error.message}`, 'error');
     } finally {
-      if (browser) {
-        await browser.close();
+      clearTimeout(timer);
+      if (context) await context.close().catch(() => {});
+    }
+
+    outcome.durationMs = Date.now() - startTime;
+    return { result, outcome };
+  }
+
+  // Run every security check against one target page, one after another
+  async runTargetTests(browser, browserName, target, probeEndpoints) {
+    logTestStep(`${browserName}: ${target.url}`, 'info');
+
+    const run = { browser: browserName, path: target.path, url: target.url, checks: {} };
+    for (const check of SECURITY_CHECKS) {
+      const { result, outcome } = await this.runCheck(browser, browserName, target, check, { probeEndpoints });
+      run[check.key] = result;
+      run.checks[check.key] = outcome;
+    }
+    run.score = this.calculateSecurityScore(run);
+    return run;
+  }
+
+  // Run one site-wide check from its start path
+  async runSiteCheck(browser, browserName, check) {
+    const target = { path: check.path, url: `${this.baseUrl}${check.path}` };
+    logTestStep(`${browserName}: ${target.url} (${check.key})`, 'info');
+    const { result, outcome } = await this.runCheck(browser, browserName, target, check, { browserName });
+    return { browser: browserName, url: target.url, key: check.key, [check.key]: result, checks: { [check.key]: outcome } };
+  }
+
+  // Run all security tests on every target page in every available browser
+  async runSecurityTests() {
+    console.log(chalk.blue.bold('\n🔒 Running Security Test Suite...'));
+    console.log(chalk.gray(`   Targets: ${this.targets.map(target => target.url).join(', ')}`));
+
+    const browsers = await getAvailableBrowsers(this.browsers);
+    const runs = [];
+    const siteRuns = [];
+    const skippedBrowsers = [];
+
+    for (const browserName of browsers) {
+      let browser;
+      try {
+        browser = await launchBrowser(browserName, this.launchConfig);
+
+        for (const [index, target] of this.targets.entries()) {
+          runs.push(await this.runTargetTests(browser, browserName, target, index === 0));
+        }
+
+        for (const check of SITE_CHECKS.filter(candidate => !candidate.once)) {
+          siteRuns.push(await this.runSiteCheck(browser, browserName, check));
+        }
+      } catch (error) {
+        skippedBrowsers.push({ browser: browserName, reason: error.message });
+        logTestStep(`Security tests on ${browserName} stopped: ${error.message}`, 'error');
+      } finally {
+        if (browser) {
+          await browser.close();
+        }
+      }
+    }
+
+    if (runs.length === 0) {
+      throw new Error(`Security tests could not run in any browser (${skippedBrowsers.map(skipped => skipped.browser).join(', ')})`);
+    }
+
+    // Single-run checks use the first engine that worked
+    const onceBrowserName = runs[0].browser;
+    const onceBrowser = await launchBrowser(onceBrowserName, this.launchConfig);
+    try {
+      for (const check of SITE_CHECKS.filter(candidate => candidate.once)) {
+        siteRuns.push(await this.runSiteCheck(onceBrowser, onceBrowserName, check));
       }
+    } finally {
+      await onceBrowser.close();
+    }
+
+    // Headers and CSP are judged by their weakest page; findings are merged across engines
+    const weakest = (key) => runs.reduce((lowest, run) => (run[key].score < lowest[key].score ? run : lowest))[key];
+    const weakestRun = runs.reduce((lowest, run) => (run.score.overall < lowest.score.overall ? run : lowest));
+    // Site check details per engine, with their issues merged across engines
+    const siteResults = ({ key, category }) => {
+      const checkRuns = siteRuns.filter(run => run.key === key);
+      return {
+        runs: checkRuns.map(({ browser, [key]: { issues, ...details }, checks }) => ({ browser, ...details, check: checks[key] })),
+        issues: mergeFindings(checkRuns, key, category, run => run[key].issues)
+      };
+    };
+
+    this.testResults = {
+      baseUrl: this.baseUrl,
+      targets: this.targets.map(target => target.url),
+      browsers: [...new Set(runs.map(run => run.browser))],
+      skippedBrowsers,
+      runs,
+      xssVulnerabilities: mergeFindings(runs, 'xssVulnerabilities', 'xss'),
+      contentSecurityPolicy: weakest('contentSecurityPolicy'),
+      sensitiveDataExposure: mergeFindings(runs, 'sensitiveDataExposure', 'sensitive_data'),
+      securityHeaders: weakest('securityHeaders'),
+      inputValidation: mergeFindings(runs, 'inputValidation', 'input_validation'),
+      ...Object.fromEntries(SITE_CHECKS.map(check => [check.key, siteResults(check)])),
+      timestamp: new Date().toISOString()
+    };
+
+    // The weakest page and engine sets the overall score; site-wide findings then deduct by severity
+    const siteIssues = SITE_CHECKS.flatMap(check => this.testResults[check.key].issues);
+    const siteDeduction = siteIssues.reduce((total, issue) => total + (SITE_SEVERITY_DEDUCTIONS[issue.severity] || 0), 0);
+    const securityScore = {
+      overall: Math.max(0, weakestRun.score.overall - siteDeduction),
+      components: { ...weakestRun.score.components, site: Math.max(0, 100 - siteDeduction) }
+    };
+    this.testResults.overallSecurityScore = securityScore;
+
+    // Create consolidated vulnerabilities list for quality metrics
+    this.testResults.vulnerabilities = [
+      ...this.testResults.xssVulnerabilities,
+      ...this.testResults.sensitiveDataExposure,
+      ...this.testResults.inputValidation,
+      ...siteIssues
+    ];
+
+    // Generate summary
+    const totalVulnerabilities = this.testResults.vulnerabilities.length;
+    const failedChecks = [...runs, ...siteRuns].flatMap(run => Object.entries(run.checks)
+      .filter(([, outcome]) => outcome.status !== 'completed')
+      .map(([check, outcome]) => ({ browser: run.browser, url: run.url, check, status: outcome.status, error: outcome.error })));
+
+    // With credentials every engine's real login must work: a login locked out by earlier traffic
+    // (e.g. the page checks typing into the login form) would silently skip the logged-in checks
+    const loginFailures = this.credentials
+      ? siteRuns.flatMap(run => {
+        const login = run[run.key].authenticated || run[run.key].fixation;
+        return login && !login.loggedIn ? [{ browser: run.browser, check: run.key, message: login.message }] : [];
+      })
+      : [];
+
+    const summary = {
+      totalVulnerabilities,
+      securityScore: securityScore.overall,
+      weakestTarget: { browser: weakestRun.browser, url: weakestRun.url },
+      failedChecks,
+      loginFailures,
+      // A failed real login or a high-severity login or cookie finding fails the suite whatever the score
+      status: loginFailures.length > 0 || siteIssues.some(issue => issue.severity === 'high') || securityScore.overall < 70 ? 'FAIL'
+        : securityScore.overall >= 90 ? 'PASS' : 'WARN',
+      recommendations: this.generateSecurityRecommendations()
+    };
+
+    this.testResults.summary = summary;
+
+    runs.forEach(run => {
+      console.log(chalk.gray(`   ${run.browser} ${run.path}: ${run.score.overall}/100`));
+    });
+
+    // Provide context about security test results
+    if (summary.status === 'FAIL' && weakestRun.score.overall < 70 && siteDeduction === 0) {
+      console.log(chalk.blue(`\n🔒 Security Test Results: ${securityScore.overall}/100 (${summary.status} - Expected in some environments)`));
+      console.log(chalk.yellow(`   ℹ️  Browser security policies may block navigation attempts`));
+      console.log(chalk.yellow(`   ℹ️  These failures don't impact core functionality validation`));
+    } else {
+      console.log(chalk.blue(`\n🔒 Security Test Results: ${securityScore.overall}/100 (${summary.status})`));
     }
+
+    if (totalVulnerabilities > 0) {
+      console.log(chalk.yellow(`   ⚠️  ${totalVulnerabilities} potential vulnerabilities found`));
+    }
+
+    if (failedChecks.length > 0) {
+      console.log(chalk.yellow(`   ⚠️  ${failedChecks.length} checks did not complete (scored with safe defaults)`));
+    }
+
+    loginFailures.forEach(failure => {
+      console.log(chalk.red(`   ❌ ${failure.browser} ${failure.check}: login failed (${failure.message || 'no message'})`));
+    });
+
+    return this.testResults;
   }
 
   // Generate security recommendations
@@ -641,6 +1303,27 @@ class SecurityTester {
       });
     }
     
+    const cookieIssues = this.testResults.cookies?.issues || [];
+    if (cookieIssues.length > 0) {
+      recommendations.push({
+        type: 'cookies',
+        priority: cookieIssues.some(issue => issue.severity === 'high') ? 'high' : 'medium',
+        message: `Tighten cookie attributes and rotate the session on login: ${[...new Set(cookieIssues.map(issue => issue.type))].join(', ')}`
+      });
+    }
+    
+    const loginIssues = [
+      ...(this.testResults.loginForm?.issues || []),
+      ...(this.testResults.loginRateLimit?.issues || [])
+    ];
+    if (loginIssues.length > 0) {
+      recommendations.push({
+        type: 'login_form',
+        priority: loginIssues.some(issue => issue.severity === 'high') ? 'high' : 'medium',
+        message: `Harden the login flow: ${[...new Set(loginIssues.map(issue => issue.description))].join('; ')}`
+      });
+    }
+    
     return recommendations;
   }
 }
@@ -0,0 +1,95 @@
+// Auth Session - Logs in to HN once and saves the browser storage state, so every browser
+// context in a logged-in run (and later runs) starts with the same session
+
+const path = require("path");
+const fs = require("fs-extra");
+const LoginPage = require("../pages/LoginPage");
+const { launchBrowser } = require("./browserUtils");
+const { FIXTURE_ACCOUNT } = require("./fixtureServer");
+const { logTestStep } = require("./testUtils");
+
+// Defaults for settings missing from the config file `auth` section
+const AUTH_CONFIG = {
+  loggedIn: false, // Run the UI browser matrix as a logged-in user
+  storageStatePath: "./.auth/storage-state.json", // Holds the session cookie - keep it out of reports
+};
+
+// Credentials come from HN_USERNAME / HN_PASSWORD, or the fixture's account when offline;
+// never from the config file. Null when neither is available.
+const resolveCredentials = (config = {}) => {
+  if (process.env.HN_USERNAME && process.env.HN_PASSWORD) {
+    return {
+      username: process.env.HN_USERNAME,
+      password: process.env.HN_PASSWORD,
+      source: "env",
+    };
+  }
+  if (config.target?.offline) {
+    return { ...FIXTURE_ACCOUNT, source: "fixture" };
+  }
+  return null;
+};
+
+// Username the saved storage state is logged in as on the target, or null if it no longer works
+const readSavedSession = async (browser, browserName, storageStatePath, baseUrl) => {
+  const context = await browser.newContext({ storageState: storageStatePath });
+  try {
+    const loginPage = new LoginPage(await context.newPage(), browserName, { baseUrl });
+    await loginPage.page.goto(`${loginPage.baseUrl}/news`, {
+      waitUntil: "domcontentloaded",
+      timeout: loginPage.getBrowserTimeout("navigation"),
+    });
+    return (await loginPage.getSessionState()).username;
+  } finally {
+    await context.close();
+  }
+};
+
+// Reuse the saved storage state while it is still logged in as the configured user;
+// otherwise log in through the login form and save a fresh one
+const createAuthSession = async (browserName, config) => {
+  const settings = { ...AUTH_CONFIG, ...config.auth };
+  const credentials = resolveCredentials(config);
+  if (!credentials) {
+    throw new Error(
+      "Logged-in runs need HN_USERNAME and HN_PASSWORD (or --offline for the fixture account)"
+    );
+  }
+
+  const storageStatePath = path.resolve(settings.storageStatePath);
+  const baseUrl = config.target?.baseUrl;
+  const browser = await launchBrowser(browserName, config);
+
+  try {
+    if (await fs.pathExists(storageStatePath)) {
+      const savedUser = await readSavedSession(browser, browserName, storageStatePath, baseUrl)
+        .catch(() => null);
+      if (savedUser === credentials.username) {
+        logTestStep(`Reusing saved session for ${savedUser}`, "success");
+        return { username: savedUser, storageStatePath, reused: true };
+      }
+    }
+
+    logTestStep(`Logging in as ${credentials.username} (${credentials.source})...`);
+    const context = await browser.newContext();
+    try {
+      const loginPage = new LoginPage(await context.newPage(), browserName, { baseUrl });
+      await loginPage.login(credentials.username, credentials.password);
+      await fs.ensureDir(path.dirname(storageStatePath));
+      await context.storageState({ path: storageStatePath });
+    } finally {
+      await context.close();
+    }
+
+    logTestStep(`Session saved to ${storageStatePath}`, "success");
+    return { username: credentials.username, storageStatePath, reused: false };
+  } finally {
+    await browser.close();
+  }
+};
+
+module.exports = {
+  AUTH_CONFIG,
+  resolveCredentials,
+  createAuthSession,
+};
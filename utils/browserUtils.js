@@ -1,6 +1,10 @@
-const { chromium, firefox } = require("playwright");
+const { chromium, firefox, webkit, devices } = require("playwright");
 const chalk = require('chalk');
 
+// Browser engines the launcher knows how to start
+const BROWSER_TYPES = { chromium, firefox, webkit };
+const SUPPORTED_BROWSERS = Object.keys(BROWSER_TYPES);
+
 // Default browser configuration
 const DEFAULT_BROWSER_CONFIG = {
   timeouts: {
@@ -27,7 +31,9 @@ const getBrowserArgs = (browserName) => {
       // Firefox doesn't support --disable-web-security
       "--no-remote",
       "--new-instance"
-    ]
+    ],
+    // WebKit rejects Chromium-style switches, so it launches without extra args
+    webkit: []
   };
 
   return browserSpecificArgs[browserName] || commonArgs;
@@ -36,8 +42,7 @@ const getBrowserArgs = (browserName) => {
 // Check if browser is available and installed
 const isBrowserAvailable = async (browserName) => {
   try {
-    const browserMap = { chromium, firefox };
-    const browserType = browserMap[browserName];
+    const browserType = BROWSER_TYPES[browserName];
     
     if (!browserType) return false;
     
@@ -102,6 +107,8 @@ const launchBrowser = async (browserName, config = DEFAULT_BROWSER_CONFIG) => {
         return await chromium.launch(browserOptions);
       case "firefox":
         return await firefox.launch(browserOptions);
+      case "webkit":
+        return await webkit.launch(browserOptions);
       default:
         throw new Error(`Unsupported browser: ${browserName}`);
     }
@@ -123,6 +130,11 @@ const getUserAgent = (viewportName, browserName = 'chromium') => {
       Desktop: "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0",
       Tablet: "Mozilla/5.0 (Android 10; Tablet; rv:121.0) Gecko/121.0 Firefox/121.0",
       Mobile: "Mozilla/5.0 (Mobile; rv:121.0) Gecko/121.0 Firefox/121.0",
+    },
+    webkit: {
+      Desktop: "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15",
+      Tablet: "Mozilla/5.0 (iPad; CPU OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1",
+      Mobile: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1",
     }
   };
   
@@ -130,10 +142,75 @@ const getUserAgent = (viewportName, browserName = 'chromium') => {
   return browserUserAgents[viewportName] || browserUserAgents.Desktop;
 };
 
+// Emulation attributes a viewport profile can set on its browser context
+const DEVICE_PROFILE_ATTRIBUTES = [
+  "deviceScaleFactor",
+  "isMobile",
+  "hasTouch",
+  "locale",
+  "timezoneId",
+  "colorScheme",
+];
+
+// Context options an engine rejects, dropped (and reported) instead of failing the run
+const UNSUPPORTED_CONTEXT_OPTIONS = {
+  firefox: ["isMobile"],
+};
+
+// Expand a viewport's `device` (a Playwright descriptor name) into explicit profile fields.
+// Fields set on the viewport win over the descriptor; the descriptor's Safari user agent is
+// not copied so each engine keeps its own unless `userAgent` is set explicitly.
+const resolveDeviceProfile = (viewport) => {
+  const descriptor = viewport.device ? devices[viewport.device] : null;
+  if (viewport.device && !descriptor) {
+    throw new Error(`Unknown Playwright device "${viewport.device}"`);
+  }
+
+  return {
+    deviceScaleFactor: descriptor?.deviceScaleFactor ?? 1,
+    isMobile: descriptor?.isMobile ?? false,
+    hasTouch: descriptor?.hasTouch ?? false,
+    width: descriptor?.viewport.width,
+    height: descriptor?.viewport.height,
+    ...viewport,
+  };
+};
+
+// Build browser.newContext() options for a resolved viewport profile
+const getContextOptions = (viewport, browserName = "chromium") => {
+  // Custom profile names borrow the closest built-in user agent
+  const userAgentProfile = ["Desktop", "Tablet", "Mobile"].includes(viewport.name)
+    ? viewport.name
+    : viewport.isMobile
+    ? "Mobile"
+    : "Desktop";
+
+  const options = {
+    viewport: { width: viewport.width, height: viewport.height },
+    userAgent: viewport.userAgent || getUserAgent(userAgentProfile, browserName),
+  };
+
+  const ignored = [];
+  DEVICE_PROFILE_ATTRIBUTES.forEach((attribute) => {
+    if (viewport[attribute] === undefined) return;
+    if (UNSUPPORTED_CONTEXT_OPTIONS[browserName]?.includes(attribute)) {
+      ignored.push(attribute);
+      return;
+    }
+    options[attribute] = viewport[attribute];
+  });
+
+  return { options, ignored };
+};
+
 module.exports = {
   launchBrowser,
   getUserAgent,
+  resolveDeviceProfile,
+  getContextOptions,
+  DEVICE_PROFILE_ATTRIBUTES,
   isBrowserAvailable,
   getAvailableBrowsers,
   getBrowserArgs,
+  SUPPORTED_BROWSERS,
 };
@@ -0,0 +1,283 @@
+// Command Line Interface - Turns index.js arguments into the run configuration
+
+const { parseArgs } = require("util");
+const { SUPPORTED_BROWSERS } = require("./browserUtils");
+const { LISTING_NAMES, resolveListing } = require("./listings");
+
+// Test suites that can be selected with --suite
+const SUITES = ["ui", "api", "security", "edge"];
+
+// Subcommands and the suites they run
+const COMMANDS = {
+  run: SUITES,
+  api: ["api"],
+  security: ["security"],
+  monitor: [], // Follows the live API instead of running suites
+};
+
+// getArticleElements walks at most 5 listing pages of 30 articles
+const MAX_ARTICLES = 150;
+
+// Longest monitor run accepted by --duration (one day)
+const MAX_MONITOR_SECONDS = 86400;
+
+// Parallel browser/viewport jobs; each one holds a browser context and page open
+const MAX_CONCURRENCY = 8;
+
+const CLI_OPTIONS = {
+  suite: { type: "string", short: "s", multiple: true },
+  browser: { type: "string", short: "b", multiple: true },
+  viewport: { type: "string", short: "v", multiple: true },
+  listing: { type: "string", short: "l", multiple: true },
+  articles: { type: "string", short: "n" },
+  concurrency: { type: "string", short: "j" },
+  duration: { type: "string", short: "d" },
+  output: { type: "string", short: "o" },
+  config: { type: "string", short: "c" },
+  profile: { type: "string", short: "p" },
+  headless: { type: "boolean" },
+  headed: { type: "boolean" },
+  offline: { type: "boolean" },
+  "logged-in": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+// Accept both repeated flags and comma-separated lists (--browser a,b)
+const splitList = (values = []) =>
+  values
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+// Match values case-insensitively against allowed choices and return the canonical spelling
+const validateChoices = (label, values, allowed) => {
+  const unique = [...new Set(values)];
+  return unique.map((value) => {
+    const match = allowed.find(
+      (choice) => choice.toLowerCase() === value.toLowerCase()
+    );
+    if (!match) {
+      throw new Error(
+        `Unknown ${label} "${value}". Expected one of: ${allowed.join(", ")}`
+      );
+    }
+    return match;
+  });
+};
+
+const validateArticleCount = (value) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_ARTICLES) {
+    throw new Error(
+      `Invalid --articles "${value}". Expected a whole number between 1 and ${MAX_ARTICLES}`
+    );
+  }
+  return parsed;
+};
+
+const validateConcurrency = (value) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_CONCURRENCY) {
+    throw new Error(
+      `Invalid --concurrency "${value}". Expected a whole number between 1 and ${MAX_CONCURRENCY}`
+    );
+  }
+  return parsed;
+};
+
+const validateDuration = (value) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 5 || parsed > MAX_MONITOR_SECONDS) {
+    throw new Error(
+      `Invalid --duration "${value}". Expected a whole number of seconds between 5 and ${MAX_MONITOR_SECONDS}`
+    );
+  }
+  return parsed;
+};
+
+// Listing specs are names (case-insensitive) or front?day=YYYY-MM-DD
+const validateListings = (values) =>
+  [...new Set(values)].map((value) => {
+    const [name, ...query] = value.split("?");
+    const spec = [name.toLowerCase(), ...query].join("?");
+    try {
+      resolveListing(spec);
+    } catch (error) {
+      throw new Error(`Invalid --listing "${value}". ${error.message}`);
+    }
+    return spec;
+  });
+
+// Build a run configuration from the base config and parsed CLI values
+const buildRunConfig = (baseConfig, options) => {
+  const viewportNames = baseConfig.viewports.map((viewport) => viewport.name);
+
+  const browsers = options.browsers
+    ? validateChoices("browser", options.browsers, SUPPORTED_BROWSERS)
+    : baseConfig.browsers;
+
+  const selectedViewports = options.viewports
+    ? validateChoices("viewport", options.viewports, viewportNames)
+    : viewportNames;
+
+  return {
+    ...baseConfig,
+    suites: options.suites || baseConfig.suites,
+    browsers,
+    viewports: baseConfig.viewports.filter((viewport) =>
+      selectedViewports.includes(viewport.name)
+    ),
+    listings: options.listings
+      ? validateListings(options.listings)
+      : baseConfig.listings,
+    targetArticleCount:
+      options.articles !== undefined
+        ? validateArticleCount(options.articles)
+        : baseConfig.targetArticleCount,
+    concurrency:
+      options.concurrency !== undefined
+        ? validateConcurrency(options.concurrency)
+        : baseConfig.concurrency,
+    monitor: {
+      ...baseConfig.monitor,
+      ...(options.duration !== undefined && {
+        durationSeconds: validateDuration(options.duration),
+      }),
+    },
+    output: {
+      ...baseConfig.output,
+      dir: options.output || baseConfig.output?.dir || "./reports",
+    },
+    browser: {
+      ...baseConfig.browser,
+      headless: options.headless ?? baseConfig.browser.headless,
+    },
+    target: {
+      ...baseConfig.target,
+      offline: options.offline || baseConfig.target?.offline || false,
+    },
+    auth: {
+      ...baseConfig.auth,
+      loggedIn: options.loggedIn || baseConfig.auth?.loggedIn || false,
+    },
+  };
+};
+
+// Parse argv into the command, config file selection and run options
+const parseCliArgs = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: CLI_OPTIONS,
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    // parseArgs errors already name the offending flag
+    throw new Error(error.message);
+  }
+
+  const { values, positionals } = parsed;
+
+  if (positionals.length > 1) {
+    throw new Error(`Unexpected arguments: ${positionals.slice(1).join(" ")}`);
+  }
+
+  const command = positionals[0] || "run";
+  if (!COMMANDS[command]) {
+    throw new Error(
+      `Unknown command "${command}". Expected one of: ${Object.keys(COMMANDS).join(", ")}`
+    );
+  }
+
+  if (command !== "run" && values.suite) {
+    throw new Error(`--suite cannot be combined with the "${command}" command`);
+  }
+
+  if (command !== "monitor" && values.duration) {
+    throw new Error(`--duration only applies to the "monitor" command`);
+  }
+
+  if (values.headless && values.headed) {
+    throw new Error("--headless and --headed cannot be combined");
+  }
+
+  // "run" without --suite keeps whatever suites the config file selects
+  const suites = values.suite
+    ? validateChoices("suite", splitList(values.suite), SUITES)
+    : command === "run"
+    ? null
+    : COMMANDS[command];
+
+  return {
+    help: Boolean(values.help),
+    command,
+    configPath: values.config,
+    profile: values.profile,
+    options: {
+      suites,
+      browsers: values.browser ? splitList(values.browser) : null,
+      viewports: values.viewport ? splitList(values.viewport) : null,
+      listings: values.listing ? splitList(values.listing) : null,
+      articles: values.articles,
+      concurrency: values.concurrency,
+      duration: values.duration,
+      output: values.output,
+      // Undefined unless a flag was given, so the config file's setting stays in charge
+      headless: values.headed ? false : values.headless,
+      offline: values.offline,
+      loggedIn: values["logged-in"],
+    },
+  };
+};
+
+// Usage text shown by --help
+const formatHelp = (baseConfig) => `
+Usage: node index.js [command] [options]
+
+Commands:
+  run                 Run the selected suites (default)
+  api                 Run only the HN API suite
+  security            Run only the security suite
+  monitor             Follow the live API (maxitem, newstories) and check /newest keeps up
+
+Options:
+  -s, --suite <list>      Suites to run: ${SUITES.join(", ")} (default: ${baseConfig.suites.join(", ")})
+  -b, --browser <list>    Browsers to test: ${SUPPORTED_BROWSERS.join(", ")} (default: ${baseConfig.browsers.join(", ")})
+  -v, --viewport <list>   Viewports to test: ${baseConfig.viewports.map((v) => v.name).join(", ")} (default: all)
+  -l, --listing <list>    Listings to validate: ${LISTING_NAMES.join(", ")}, front?day=YYYY-MM-DD (default: ${(baseConfig.listings || ["newest"]).join(", ")})
+  -n, --articles <count>  Articles to validate per run, 1-${MAX_ARTICLES} (default: ${baseConfig.targetArticleCount})
+  -j, --concurrency <n>   Browser/viewport combinations run in parallel, 1-${MAX_CONCURRENCY} (default: ${baseConfig.concurrency})
+  -d, --duration <s>      Monitor run length in seconds, 5-${MAX_MONITOR_SECONDS} (default: ${baseConfig.monitor?.durationSeconds || 60})
+  -o, --output <dir>      Directory for reports and screenshots (default: ${baseConfig.output?.dir || "./reports"})
+  -c, --config <file>     Configuration file (default: hn-qa.config.json, or HNQA_CONFIG)
+  -p, --profile <name>    Configuration profile, e.g. local, ci, nightly (or HNQA_PROFILE)
+      --headless          Run browsers without visible windows (same as HEADLESS=true)
+      --headed            Show browser windows even when the config file runs headless
+      --offline           Use the bundled fixture instead of live HN (same as HN_OFFLINE=true)
+      --logged-in         Run the UI suite logged in as HN_USERNAME, or the fixture account offline
+  -h, --help              Show this help
+
+Lists accept commas or repeated flags: --browser chromium,firefox or -b chromium -b firefox
+
+Examples:
+  node index.js --suite ui --browser firefox --viewport Mobile --articles 30
+  node index.js --suite ui --listing newest,news,front?day=2025-10-08
+  node index.js --suite api,security --output ./reports/nightly
+  node index.js api --offline
+  node index.js --suite ui --offline --logged-in
+  node index.js monitor --duration 300 --headless
+  node index.js --profile nightly
+`;
+
+module.exports = {
+  parseCliArgs,
+  buildRunConfig,
+  formatHelp,
+  SUITES,
+  COMMANDS,
+  MAX_ARTICLES,
+  MAX_CONCURRENCY,
+  MAX_MONITOR_SECONDS,
+};
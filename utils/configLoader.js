@@ -0,0 +1,461 @@
+// Configuration Loader - Reads hn-qa.config.json, applies a profile and env overrides, then validates
+
+const path = require("path");
+const fs = require("fs-extra");
+const { validateSchema, pointerToPath } = require("./schemaValidator");
+const { devices } = require("playwright");
+const { SUPPORTED_BROWSERS, resolveDeviceProfile } = require("./browserUtils");
+const { SUITES, MAX_ARTICLES, MAX_CONCURRENCY, MAX_MONITOR_SECONDS } = require("./cli");
+const { LISTING_SPEC_PATTERN, resolveListing } = require("./listings");
+
+// Config files looked up (in order) when no explicit path is given
+const DEFAULT_CONFIG_FILES = ["hn-qa.config.js", "hn-qa.config.json"];
+const PROJECT_ROOT = path.join(__dirname, "..");
+
+// Environment variables that override individual settings
+const ENV_OVERRIDES = [
+  { env: "HEADLESS", path: "browser.headless", type: "boolean" },
+  { env: "SLOWMO", path: "browser.slowMo", type: "integer" },
+  { env: "HN_OFFLINE", path: "target.offline", type: "boolean" },
+  { env: "HN_BASE_URL", path: "target.baseUrl", type: "string" },
+  { env: "HN_API_BASE_URL", path: "target.apiBaseUrl", type: "string" },
+  { env: "HNQA_LOGGED_IN", path: "auth.loggedIn", type: "boolean" },
+  { env: "HNQA_SECURITY_BASE_URL", path: "security.baseUrl", type: "string" },
+  { env: "HNQA_BROWSERS", path: "browsers", type: "list" },
+  { env: "HNQA_LISTINGS", path: "listings", type: "list" },
+  { env: "HNQA_ARTICLES", path: "targetArticleCount", type: "integer" },
+  { env: "HNQA_CONCURRENCY", path: "concurrency", type: "integer" },
+  { env: "HNQA_OUTPUT_DIR", path: "output.dir", type: "string" },
+  { env: "HNQA_SORTING_THRESHOLD", path: "thresholds.sortingAccuracy", type: "number" },
+];
+
+// ================================================================
+// SCHEMA
+// ================================================================
+const timeoutSchema = { type: "integer", minimum: 1000, maximum: 600000 };
+const percentSchema = { type: "number", minimum: 0, maximum: 100 };
+const urlSchema = { type: "string", pattern: "^https?://" };
+const itemIdsSchema = { type: "array", items: { type: "integer", minimum: 1 } };
+const requestWeightSchema = { type: "integer", minimum: 0, maximum: 1000 };
+
+const strictObject = (properties, required = Object.keys(properties)) => ({
+  type: "object",
+  properties,
+  required,
+  additionalProperties: false,
+});
+
+const CONFIG_SCHEMA = strictObject(
+  {
+    suites: {
+      type: "array",
+      items: { type: "string", enum: SUITES },
+      minItems: 1,
+      uniqueItems: true,
+    },
+    targetArticleCount: { type: "integer", minimum: 1, maximum: MAX_ARTICLES },
+    listings: {
+      type: "array",
+      items: { type: "string", pattern: LISTING_SPEC_PATTERN },
+      minItems: 1,
+      uniqueItems: true,
+    },
+    browsers: {
+      type: "array",
+      items: { type: "string", enum: SUPPORTED_BROWSERS },
+      minItems: 1,
+      uniqueItems: true,
+    },
+    concurrency: { type: "integer", minimum: 1, maximum: MAX_CONCURRENCY },
+    viewports: {
+      type: "array",
+      minItems: 1,
+      // Either a Playwright `device` descriptor or an explicit width/height, plus emulation overrides
+      items: strictObject(
+        {
+          name: { type: "string", minLength: 1 },
+          device: { type: "string", minLength: 1 },
+          width: { type: "integer", minimum: 240, maximum: 7680 },
+          height: { type: "integer", minimum: 240, maximum: 4320 },
+          deviceScaleFactor: { type: "number", minimum: 1, maximum: 4 },
+          isMobile: { type: "boolean" },
+          hasTouch: { type: "boolean" },
+          locale: { type: "string", pattern: "^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$" },
+          timezoneId: { type: "string", minLength: 1 },
+          colorScheme: { type: "string", enum: ["light", "dark", "no-preference"] },
+          userAgent: { type: "string", minLength: 1 },
+        },
+        ["name"]
+      ),
+    },
+    timeouts: strictObject({
+      navigation: timeoutSchema,
+      element: timeoutSchema,
+      test: timeoutSchema,
+    }),
+    browserTimeouts: strictObject(
+      Object.fromEntries(
+        SUPPORTED_BROWSERS.map((browser) => [
+          browser,
+          strictObject({ navigation: timeoutSchema, element: timeoutSchema }),
+        ])
+      ),
+      []
+    ),
+    thresholds: strictObject({
+      sortingAccuracy: percentSchema,
+      performance: { type: "integer", minimum: 100, maximum: 60000 },
+      dataCompleteness: percentSchema,
+    }),
+    retry: strictObject({
+      maxAttempts: { type: "integer", minimum: 1, maximum: 10 },
+      backoffMs: { type: "integer", minimum: 0, maximum: 60000 },
+    }),
+    browser: strictObject({
+      headless: { type: "boolean" },
+      slowMo: { type: "integer", minimum: 0, maximum: 5000 },
+      skipUnavailable: { type: "boolean" },
+    }),
+    target: strictObject({
+      offline: { type: "boolean" },
+      baseUrl: urlSchema,
+      apiBaseUrl: urlSchema,
+    }),
+    output: strictObject({
+      dir: { type: "string", minLength: 1 },
+    }),
+    auth: strictObject({
+      loggedIn: { type: "boolean" },
+      storageStatePath: { type: "string", minLength: 1 },
+    }),
+    comments: strictObject({
+      sampleSize: { type: "integer", minimum: 0, maximum: 30 },
+    }),
+    users: strictObject({
+      sampleSize: { type: "integer", minimum: 0, maximum: 30 },
+      submittedPages: { type: "integer", minimum: 1, maximum: 10 },
+    }),
+    api: strictObject({
+      timeout: timeoutSchema,
+      retries: { type: "integer", minimum: 0, maximum: 10 },
+      retryBackoffMs: { type: "integer", minimum: 0, maximum: 60000 },
+      concurrency: { type: "integer", minimum: 1, maximum: 50 },
+      maxItemsToTest: { type: "integer", minimum: 1, maximum: 500 },
+      sortingToleranceMinutes: { type: "number", minimum: 0, maximum: 1440 },
+      karmaTolerance: { type: "integer", minimum: 0, maximum: 10000 },
+      scoreTolerance: { type: "integer", minimum: 0, maximum: 1000 },
+      commentCountTolerance: { type: "integer", minimum: 0, maximum: 1000 },
+      timestampToleranceSeconds: { type: "integer", minimum: 0, maximum: 86400 },
+      contractSamplesPerType: { type: "integer", minimum: 1, maximum: 20 },
+      contractKnownIds: strictObject(
+        {
+          story: itemIdsSchema,
+          comment: itemIdsSchema,
+          job: itemIdsSchema,
+          poll: itemIdsSchema,
+          pollopt: itemIdsSchema,
+          user: { type: "array", items: { type: "string", minLength: 1 } },
+        },
+        []
+      ),
+      load: strictObject({
+        rampUpSeconds: { type: "integer", minimum: 0, maximum: 600 },
+        durationSeconds: { type: "integer", minimum: 1, maximum: 3600 },
+        concurrency: { type: "integer", minimum: 1, maximum: 200 },
+        intervalSeconds: { type: "integer", minimum: 1, maximum: 60 },
+        requestMix: strictObject(
+          Object.fromEntries(
+            [
+              "item",
+              "user",
+              "maxitem",
+              "updates",
+              "newstories",
+              "topstories",
+              "beststories",
+              "askstories",
+              "showstories",
+              "jobstories",
+            ].map((endpoint) => [endpoint, requestWeightSchema])
+          ),
+          []
+        ),
+        slo: strictObject({
+          responseTimeMs: { type: "integer", minimum: 1, maximum: 60000 },
+          percentile: percentSchema,
+          maxErrorRate: percentSchema,
+        }),
+      }),
+    }),
+    monitor: strictObject({
+      durationSeconds: { type: "integer", minimum: 5, maximum: MAX_MONITOR_SECONDS },
+      uiDeadlineSeconds: { type: "integer", minimum: 1, maximum: 3600 },
+      uiPollSeconds: { type: "integer", minimum: 1, maximum: 600 },
+      checkUi: { type: "boolean" },
+      browser: { type: "string", enum: SUPPORTED_BROWSERS },
+      reconnectDelayMs: { type: "integer", minimum: 0, maximum: 60000 },
+    }),
+    security: strictObject(
+      {
+        timeout: timeoutSchema,
+        checkTimeout: timeoutSchema,
+        baseUrl: urlSchema,
+        rateLimitAttempts: { type: "integer", minimum: 1, maximum: 20 },
+        sessionCookie: { type: "string", minLength: 1 },
+        maxSessionCookieDays: { type: "integer", minimum: 1, maximum: 400 },
+        paths: {
+          type: "array",
+          items: { type: "string", pattern: "^/" },
+          minItems: 1,
+          uniqueItems: true,
+        },
+        // Payloads must call alert() so each one can be armed with its own canary
+        xssPayloads: { type: "array", items: { type: "string", pattern: "alert\\(" }, minItems: 1 },
+        sensitivePatterns: { type: "array", items: { type: "string", minLength: 1 } },
+      },
+      ["timeout", "checkTimeout", "paths", "xssPayloads", "sensitivePatterns"]
+    ),
+    metrics: strictObject({
+      retentionDays: { type: "integer", minimum: 1, maximum: 3650 },
+      thresholds: strictObject({
+        sortingAccuracy: percentSchema,
+        dataCompleteness: percentSchema,
+        performanceScore: percentSchema,
+        securityScore: percentSchema,
+        overallQuality: percentSchema,
+      }),
+    }),
+  },
+  [
+    "suites",
+    "targetArticleCount",
+    "browsers",
+    "concurrency",
+    "viewports",
+    "timeouts",
+    "thresholds",
+    "retry",
+    "browser",
+    "target",
+    "output",
+    "api",
+    "security",
+    "metrics",
+  ]
+);
+
+// ================================================================
+// LOADING
+// ================================================================
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Merge override into base: objects merge recursively, arrays and scalars replace
+const deepMerge = (base, override) => {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] = key in base ? deepMerge(base[key], value) : value;
+  });
+  return merged;
+};
+
+const setPath = (target, dottedPath, value) => {
+  const keys = dottedPath.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+// Convert an env string to the setting's type; unparseable values are kept so validation reports them
+const coerceEnvValue = (raw, type) => {
+  const value = raw.trim();
+  switch (type) {
+    case "boolean":
+      if (["true", "1", "yes"].includes(value.toLowerCase())) return true;
+      if (["false", "0", "no"].includes(value.toLowerCase())) return false;
+      return value;
+    case "integer":
+    case "number":
+      return value !== "" && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case "list":
+      return value.split(",").map((item) => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+};
+
+const applyEnvOverrides = (config, env) => {
+  const applied = [];
+  ENV_OVERRIDES.forEach(({ env: name, path: dottedPath, type }) => {
+    if (env[name] === undefined || env[name] === "") return;
+    setPath(config, dottedPath, coerceEnvValue(env[name], type));
+    applied.push({ env: name, path: dottedPath });
+  });
+  return applied;
+};
+
+const findConfigFile = (configPath, cwd) => {
+  if (configPath) {
+    const resolved = path.resolve(cwd, configPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Configuration file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  for (const directory of [cwd, PROJECT_ROOT]) {
+    for (const fileName of DEFAULT_CONFIG_FILES) {
+      const candidate = path.join(directory, fileName);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+
+  throw new Error(
+    `No configuration file found. Expected ${DEFAULT_CONFIG_FILES.join(" or ")} in ${cwd}`
+  );
+};
+
+const readConfigFile = (filePath) => {
+  try {
+    if (filePath.endsWith(".js")) {
+      return require(filePath);
+    }
+    return fs.readJsonSync(filePath);
+  } catch (error) {
+    throw new Error(`Could not read configuration file ${filePath}: ${error.message}`);
+  }
+};
+
+// Checks that need more than the schema can express
+const validateSemantics = (config) => {
+  const errors = [];
+
+  const viewportNames = (config.viewports || []).map((viewport) => viewport?.name);
+  if (new Set(viewportNames).size !== viewportNames.length) {
+    errors.push({ pointer: "/viewports", message: "viewport names must be unique" });
+  }
+
+  (config.viewports || []).forEach((viewport, index) => {
+    if (!isPlainObject(viewport)) return;
+    if (viewport.device && !devices[viewport.device]) {
+      errors.push({
+        pointer: `/viewports/${index}/device`,
+        message: `is not a Playwright device descriptor (e.g. "iPhone 8", "iPad Mini", "Pixel 5")`,
+      });
+    }
+    if (!viewport.device && (viewport.width === undefined || viewport.height === undefined)) {
+      errors.push({
+        pointer: `/viewports/${index}`,
+        message: "needs either a device or both width and height",
+      });
+    }
+    if (viewport.timezoneId) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: viewport.timezoneId });
+      } catch (error) {
+        errors.push({
+          pointer: `/viewports/${index}/timezoneId`,
+          message: `is not a known IANA time zone, got "${viewport.timezoneId}"`,
+        });
+      }
+    }
+  });
+
+  (config.listings || []).forEach((listing, index) => {
+    try {
+      resolveListing(listing);
+    } catch (error) {
+      errors.push({ pointer: `/listings/${index}`, message: error.message });
+    }
+  });
+
+  (config.security?.sensitivePatterns || []).forEach((pattern, index) => {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      errors.push({
+        pointer: `/security/sensitivePatterns/${index}`,
+        message: `is not a valid regular expression (${error.message})`,
+      });
+    }
+  });
+
+  return errors;
+};
+
+// Load, merge and validate the configuration for a run
+const loadConfig = (options = {}) => {
+  const env = options.env || process.env;
+  const cwd = options.cwd || process.cwd();
+
+  const configFile = findConfigFile(options.configPath || env.HNQA_CONFIG, cwd);
+  const fileConfig = readConfigFile(configFile);
+
+  if (!isPlainObject(fileConfig)) {
+    throw new Error(`Configuration file ${configFile} must contain an object`);
+  }
+
+  const { profiles = {}, defaultProfile, ...baseConfig } = fileConfig;
+  const profile = options.profile || env.HNQA_PROFILE || defaultProfile || null;
+
+  // Clone so env overrides never leak into a cached .js config module
+  let config = structuredClone(baseConfig);
+  if (profile) {
+    if (!isPlainObject(profiles[profile])) {
+      const available = Object.keys(profiles);
+      throw new Error(
+        `Unknown configuration profile "${profile}". ` +
+          (available.length > 0
+            ? `Available profiles: ${available.join(", ")}`
+            : `${configFile} defines no profiles`)
+      );
+    }
+    config = deepMerge(config, structuredClone(profiles[profile]));
+  }
+
+  const envOverrides = applyEnvOverrides(config, env);
+
+  const errors = [
+    ...validateSchema(config, CONFIG_SCHEMA),
+    ...validateSemantics(config),
+  ];
+
+  if (errors.length > 0) {
+    const envByPath = Object.fromEntries(
+      envOverrides.map(({ env: name, path: dottedPath }) => [dottedPath, name])
+    );
+    const details = errors
+      .map(({ pointer, message }) => {
+        const settingPath = pointerToPath(pointer);
+        const source = envByPath[settingPath] ? ` (set by ${envByPath[settingPath]})` : "";
+        return `  - ${settingPath}: ${message}${source}`;
+      })
+      .join("\n");
+    const relativeFile = path.relative(cwd, configFile);
+    const displayFile = relativeFile.startsWith("..") ? configFile : relativeFile;
+    throw new Error(
+      `Invalid configuration in ${displayFile}` +
+        `${profile ? ` (profile "${profile}")` : ""}:\n${details}`
+    );
+  }
+
+  return {
+    ...config,
+    listings: config.listings || ["newest"],
+    viewports: config.viewports.map(resolveDeviceProfile),
+    profile,
+    configFile,
+    envOverrides: envOverrides.map(({ env: name }) => name),
+  };
+};
+
+module.exports = {
+  loadConfig,
+  deepMerge,
+  CONFIG_SCHEMA,
+  ENV_OVERRIDES,
+};
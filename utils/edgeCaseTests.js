@@ -6,6 +6,8 @@ const { launchBrowser } = require('./browserUtils');
 async function runEdgeCaseTests(testConfig = {}) {
   console.log(chalk.magenta.bold('\n🧪 Running Edge Case Tests...'));
   
+  const newestUrl = `${testConfig.target?.baseUrl || 'https://news.ycombinator.com'}/newest`;
+  
   let edgeCaseResults = {
     networkTimeout: false,
     slowConnection: false,
@@ -21,7 +23,7 @@ async function runEdgeCaseTests(testConfig = {}) {
     const page1 = await context1.newPage();
     
     try {
-      await page1.goto('https://news.ycombinator.com/newest', { timeout: 1000 }); // Very short timeout
+      await page1.goto(newestUrl, { timeout: 1000 }); // Very short timeout
       await page1.waitForSelector('.athing', { timeout: 500 });
       console.log(chalk.green('     ✅ Timeout handling works (page loaded faster than expected)'));
       edgeCaseResults.networkTimeout = true;
@@ -45,7 +47,7 @@ async function runEdgeCaseTests(testConfig = {}) {
       });
       
       const startTime = Date.now();
-      await page2.goto('https://news.ycombinator.com/newest', { timeout: 15000 });
+      await page2.goto(newestUrl, { timeout: 15000 });
       await page2.waitForSelector('.athing', { timeout: 10000 });
       const loadTime = Date.now() - startTime;
       
@@ -64,7 +66,7 @@ async function runEdgeCaseTests(testConfig = {}) {
     const page3 = await context3.newPage();
     
     try {
-      await page3.goto('https://news.ycombinator.com/newest');
+      await page3.goto(newestUrl);
       
       // Try to find non-existent elements gracefully
       const nonExistentElements = await page3.$$('.this-selector-does-not-exist');
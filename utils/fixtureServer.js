@@ -0,0 +1,714 @@
+// Offline Fixture Server - Serves a recorded Hacker News snapshot so the suite runs without network access
+
+const crypto = require("crypto");
+const http = require("http");
+const path = require("path");
+const fs = require("fs-extra");
+const chalk = require("chalk");
+const { getRankingScore } = require("./validationUtils");
+
+// Default fixture configuration
+const DEFAULT_FIXTURE_CONFIG = {
+  snapshotPath: path.join(__dirname, "..", "fixtures", "hn", "snapshot.json"),
+  host: "127.0.0.1",
+  port: 0, // 0 = pick a free ephemeral port
+  pageSize: 30, // Articles per listing page, same as HN
+  shiftTimes: true, // Re-base recorded times so the newest item is "just posted"
+  liveStoryIntervalMs: 5000, // New story cadence while an API stream is open
+  liveListingDelayMs: 1000, // Lag between maxitem and newstories for a live story
+  loginAttemptLimit: 3, // Failed logins before /login answers "Validation required", like HN
+};
+
+// The fixture's only account, so logged-in pages can be tested offline
+const FIXTURE_ACCOUNT = { username: "hnqa_tester", password: "fixture-password" };
+
+// Escape text for safe inclusion in HTML markup and attributes
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#x27;");
+
+// Format an age the way HN does ("1 minute ago", "3 hours ago", "2 days ago")
+const formatAge = (unixTime, nowSeconds) => {
+  const seconds = Math.max(0, nowSeconds - unixTime);
+  const units = [
+    { name: "day", seconds: 86400 },
+    { name: "hour", seconds: 3600 },
+    { name: "minute", seconds: 60 },
+  ];
+  const unit = units.find((u) => seconds >= u.seconds) || units[units.length - 1];
+  const amount = Math.floor(seconds / unit.seconds);
+  return `${amount} ${unit.name}${amount === 1 ? "" : "s"} ago`;
+};
+
+// HN's absolute timestamp attribute: "2025-10-09T08:53:20 1760000000"
+const formatAgeTitle = (unixTime) =>
+  `${new Date(unixTime * 1000).toISOString().slice(0, 19)} ${unixTime}`;
+
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch (error) {
+    return null;
+  }
+};
+
+// Listings the snapshot does not record are derived from its stories the way HN builds them:
+// Ask/Show by title prefix and ranked, jobs newest first, best and past front pages by points
+const deriveLists = (items, lists, nowMs) => {
+  const stories = [...items.values()].filter((item) => ["story", "poll"].includes(item.type));
+  const byPoints = [...stories].sort((a, b) => b.score - a.score).map((item) => item.id);
+  const ranked = (candidates) =>
+    [...candidates]
+      .sort((a, b) => getRankingScore({ ...b, timestamp: b.time * 1000 }, nowMs) -
+        getRankingScore({ ...a, timestamp: a.time * 1000 }, nowMs))
+      .map((item) => item.id);
+
+  return {
+    askstories: ranked(stories.filter((item) => /^ask hn\b/i.test(item.title || ""))),
+    showstories: ranked(stories.filter((item) => /^show hn\b/i.test(item.title || ""))),
+    jobstories: [...items.values()]
+      .filter((item) => item.type === "job")
+      .sort((a, b) => b.time - a.time)
+      .map((item) => item.id),
+    beststories: byPoints,
+    frontstories: byPoints,
+    ...lists,
+  };
+};
+
+// Load the snapshot and index it for lookups
+const loadSnapshot = async (snapshotPath, shiftTimes) => {
+  const snapshot = await fs.readJson(snapshotPath);
+  const offset = shiftTimes
+    ? Math.floor(Date.now() / 1000) - snapshot.recordedAt
+    : 0;
+
+  const items = new Map();
+  snapshot.items.forEach((item) => {
+    items.set(item.id, { ...item, time: item.time + offset });
+  });
+
+  const users = new Map();
+  (snapshot.users || []).forEach((user) => users.set(user.id, user));
+
+  return {
+    recordedAt: snapshot.recordedAt,
+    offset,
+    lists: deriveLists(items, snapshot.lists, Date.now()),
+    items,
+    users,
+  };
+};
+
+// ================================================================
+// HTML RENDERING
+// ================================================================
+// `session` ({ username, token }) swaps the login link for the user menu
+const renderLayout = (title, body, session = null) => `<html lang="en" op="news"><head><meta name="referrer" content="origin"><meta name="viewport" content="width=device-width, initial-scale=1.0"><link rel="stylesheet" type="text/css" href="news.css"><title>${escapeHtml(title)}</title></head><body><center><table id="hnmain" border="0" cellpadding="0" cellspacing="0" width="85%" bgcolor="#f6f6ef">
+<tr><td bgcolor="#ff6600"><table border="0" cellpadding="0" cellspacing="0" width="100%" style="padding:2px"><tr><td style="width:18px;padding-right:4px"><a href="news"><img src="y18.svg" width="18" height="18" style="border:1px white solid; display:block"></a></td>
+<td style="line-height:12pt; height:10px;"><span class="pagetop"><b class="hnname"><a href="news">Hacker News</a></b>
+<a href="newest">new</a> | <a href="front">past</a> | <a href="newcomments">comments</a> | <a href="ask">ask</a> | <a href="show">show</a> | <a href="jobs">jobs</a> | <a href="submit" rel="nofollow">submit</a></span></td><td style="text-align:right;padding-right:4px;"><span class="pagetop">${session ? `<a id="me" href="user?id=${escapeHtml(session.username)}">${escapeHtml(session.username)}</a> (1) | <a id="logout" rel="nofollow" href="logout?auth=${session.token}&amp;goto=news">logout</a>` : `<a href="login?goto=newest">login</a>`}</span></td></tr></table></td></tr>
+<tr id="pagespace" title="${escapeHtml(title)}" style="height:10px"></tr>
+<tr><td>${body}</td></tr>
+</table></center></body></html>`;
+
+// Logged-in visitors get vote links carrying their `auth` token
+const renderStoryRows = (item, rank, nowSeconds, goto, auth = null) => {
+  const isJob = item.type === "job";
+  const domain = item.url ? getDomain(item.url) : null;
+  const href = item.url || `item?id=${item.id}`;
+  const age = `<span class="age" title="${formatAgeTitle(item.time)}"><a href="item?id=${item.id}">${formatAge(item.time, nowSeconds)}</a></span>`;
+
+  const voteCell = isJob
+    ? `<td></td>`
+    : `<td valign="top" class="votelinks"><center><a id="up_${item.id}" href="vote?id=${item.id}&amp;how=up${auth ? `&amp;auth=${auth}` : ""}&amp;goto=${goto}"><div class="votearrow" title="upvote"></div></a></center></td>`;
+
+  const siteBit = domain
+    ? `<span class="sitebit comhead"> (<a href="from?site=${escapeHtml(domain)}"><span class="sitestr">${escapeHtml(domain)}</span></a>)</span>`
+    : "";
+
+  const comments = item.descendants
+    ? `${item.descendants}&nbsp;comment${item.descendants === 1 ? "" : "s"}`
+    : "discuss";
+
+  const subline = isJob
+    ? age
+    : `<span class="score" id="score_${item.id}">${item.score} point${item.score === 1 ? "" : "s"}</span> by <a href="user?id=${escapeHtml(item.by)}" class="hnuser">${escapeHtml(item.by)}</a> ${age} <span id="unv_${item.id}"></span> | <a href="hide?id=${item.id}&amp;goto=${goto}">hide</a> | <a href="item?id=${item.id}">${comments}</a>`;
+
+  return `<tr class="athing submission" id="${item.id}">
+      <td align="right" valign="top" class="title">${rank ? `<span class="rank">${rank}.</span>` : ""}</td>${voteCell}<td class="title"><span class="titleline"><a href="${escapeHtml(href)}">${escapeHtml(item.title)}</a>${siteBit}</span></td></tr>
+    <tr><td colspan="2"></td><td class="subtext"><span class="subline">${subline}</span></td></tr>
+    <tr class="spacer" style="height:5px"></tr>`;
+};
+
+// `timeOffset` moves rendered times (past front pages); `pageParams` are kept on the More link;
+// `ids` replaces the named list (a user's submissions); `auth` is the visitor's session token
+const renderListing = (snapshot, listName, goto, query, pageSize, options = {}) => {
+  const { timeOffset = 0, pageParams = {}, auth = null } = options;
+  const ids = options.ids || snapshot.lists[listName] || [];
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  // HN paginates /newest and /jobs with ?next=<last id>&n=<next rank>; other lists use ?p=<page>
+  const usesNextParam = ["newstories", "jobstories", "submitted"].includes(listName);
+  let start = 0;
+  if (usesNextParam && query.get("next")) {
+    const next = parseInt(query.get("next"), 10);
+    start = ids.findIndex((id) => id < next);
+    if (start === -1) start = ids.length;
+  } else if (query.get("p")) {
+    start = (Math.max(1, parseInt(query.get("p"), 10) || 1) - 1) * pageSize;
+  }
+
+  const rankStart = parseInt(query.get("n"), 10) || start + 1;
+  const pageIds = ids.slice(start, start + pageSize);
+  const rows = pageIds
+    .map((id) => snapshot.items.get(id))
+    .filter(Boolean)
+    .map((item) => (timeOffset ? { ...item, time: item.time + timeOffset } : item))
+    .map((item, index) => renderStoryRows(item, rankStart + index, nowSeconds, goto, auth))
+    .join("\n");
+
+  let moreLink = "";
+  if (start + pageSize < ids.length && pageIds.length > 0) {
+    const moreQuery = usesNextParam
+      ? { ...pageParams, next: pageIds[pageIds.length - 1], n: rankStart + pageIds.length }
+      : { ...pageParams, p: Math.floor(start / pageSize) + 2 };
+    const moreHref = escapeHtml(`${goto}?${new URLSearchParams(moreQuery)}`);
+    moreLink = `<tr class="morespace" style="height:10px"></tr><tr><td colspan="2"></td><td class="title"><a href="${moreHref}" class="morelink" rel="next">More</a></td></tr>`;
+  }
+
+  return `<table border="0" cellpadding="0" cellspacing="0">
+    ${rows}
+    ${moreLink}
+  </table>`;
+};
+
+// HN's login page: a login form and a create-account form posting to /login, outside the
+// main layout. Pages that need an account (e.g. /submit) redirect here with a message.
+const renderLoginPage = (gotoTarget, message) => {
+  const credentialRows = (autofocus) => `<table border="0"><tr><td>username:</td><td><input type="text" name="acct" size="20" autocorrect="off" spellcheck="false" autocapitalize="off"${autofocus ? ' autofocus="true"' : ""}></td></tr><tr><td>password:</td><td><input type="password" name="pw" size="20"></td></tr></table>`;
+  const gotoInput = `<input type="hidden" name="goto" value="${escapeHtml(gotoTarget)}">`;
+  return `<html lang="en" op="login"><head><meta name="referrer" content="origin"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Login | Hacker News</title></head><body>${message ? `${escapeHtml(message)}<br><br>` : ""}<b>Login</b><br><br>
+<form action="login" method="post">${gotoInput}${credentialRows(true)}<br><input type="submit" value="login"></form><a href="forgot">Forgot your password?</a><br><br>
+<b>Create Account</b><br><br><form action="login" method="post">${gotoInput}<input type="hidden" name="creating" value="t">${credentialRows(false)}<br><input type="submit" value="create account"></form></body></html>`;
+};
+
+// HN's "Validation required" page, shown instead of the login form after repeated failed logins
+const renderValidationPage = () => `<html lang="en" op="login"><head><meta name="referrer" content="origin"><title>Validation required | Hacker News</title></head><body>Validation required. If this doesn't work, you can email <a href="mailto:hn@ycombinator.com">hn@ycombinator.com</a>.<br><br><form action="login" method="post"><div class="g-recaptcha" data-sitekey="fixture"></div><br><input type="submit" value="submit"></form></body></html>`;
+
+// Submit form for logged-in visitors; `fnid` is the per-form token HN checks on every POST
+const renderSubmitPage = () => `<form action="/r" method="post"><input type="hidden" name="fnop" value="submit-page"><input type="hidden" name="fnid" value="${crypto.randomBytes(11).toString("hex")}"><table border="0">
+    <tr><td>title</td><td><input type="text" name="title" value="" size="50" maxlength="80"></td></tr>
+    <tr><td>url</td><td><input type="text" name="url" value="" size="50"></td></tr>
+    <tr><td>text</td><td><textarea name="text" rows="4" cols="49" wrap="virtual"></textarea></td></tr>
+    <tr><td></td><td><input type="submit" value="submit"></td></tr>
+  </table></form>`;
+
+// Profile table as HN renders it; the user cell carries the creation time in a `timestamp` attribute
+const renderUserPage = (user) => {
+  const created = new Date(user.created * 1000);
+  const createdText = created.toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+  const id = escapeHtml(user.id);
+
+  return `<table border="0">
+    <tr class="athing" id="${id}"><td valign="top">user:</td><td timestamp="${user.created}"><a href="user?id=${id}" class="hnuser">${id}</a></td></tr>
+    <tr><td valign="top">created:</td><td><a href="front?day=${created.toISOString().slice(0, 10)}&amp;birth=${id}">${createdText}</a></td></tr>
+    <tr><td valign="top">karma:</td><td>${user.karma}</td></tr>
+    <tr><td valign="top">about:</td><td style="overflow:hidden;">${escapeHtml(user.about)}</td></tr>
+    <tr><td></td><td><a href="submitted?id=${id}"><u>submissions</u></a></td></tr>
+    <tr><td></td><td><a href="threads?id=${id}"><u>comments</u></a></td></tr>
+  </table>`;
+};
+
+// A user's stories, newest first; comments live under threads?id= on HN
+const getSubmittedStoryIds = (snapshot, user) =>
+  (user.submitted || [])
+    .map((id) => snapshot.items.get(id))
+    .filter((item) => item && item.type !== "comment")
+    .sort((a, b) => b.time - a.time)
+    .map((item) => item.id);
+
+// Flatten a comment tree depth-first, keeping the indent level HN renders
+const collectComments = (snapshot, kidIds, depth, output) => {
+  (kidIds || []).forEach((kidId) => {
+    const comment = snapshot.items.get(kidId);
+    if (!comment) return;
+    output.push({ comment, depth });
+    collectComments(snapshot, comment.kids, depth + 1, output);
+  });
+  return output;
+};
+
+const renderItemPage = (snapshot, item, auth = null) => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  if (item.type === "comment") {
+    return `<table class="fatitem" border="0">${renderCommentRow(item, 0, nowSeconds)}</table>`;
+  }
+
+  const storyText = item.text
+    ? `<tr><td colspan="2"></td><td><div class="toptext">${escapeHtml(item.text)}</div></td></tr>`
+    : "";
+
+  const commentRows = collectComments(snapshot, item.kids, 0, [])
+    .map(({ comment, depth }) => renderCommentRow(comment, depth, nowSeconds))
+    .join("\n");
+
+  return `<table class="fatitem" border="0">
+    ${renderStoryRows(item, null, nowSeconds, `item%3Fid%3D${item.id}`, auth)}
+    ${storyText}
+  </table><br><br>
+  <table border="0" class="comment-tree">
+    ${commentRows}
+  </table>`;
+};
+
+const renderCommentRow = (comment, depth, nowSeconds) => `<tr class="athing comtr" id="${comment.id}"><td><table border="0"><tr>
+      <td class="ind" indent="${depth}"><img src="s.gif" height="1" width="${depth * 40}"></td>
+      <td valign="top" class="votelinks"><center><a id="up_${comment.id}" href="vote?id=${comment.id}&amp;how=up&amp;goto=item%3Fid%3D${comment.parent}"><div class="votearrow" title="upvote"></div></a></center></td>
+      <td class="default"><div style="margin-top:2px; margin-bottom:-10px;"><span class="comhead"><a href="user?id=${escapeHtml(comment.by)}" class="hnuser">${escapeHtml(comment.by)}</a> <span class="age" title="${formatAgeTitle(comment.time)}"><a href="item?id=${comment.id}">${formatAge(comment.time, nowSeconds)}</a></span> <span class="navs"> | <a href="item?id=${comment.parent}" class="clicky">parent</a></span></span></div><br>
+      <div class="comment"><div class="commtext c00">${escapeHtml(comment.text)}</div></div></td></tr></table></td></tr>`;
+
+// /front?day= defaults to yesterday (UTC) like HN; anything but YYYY-MM-DD is rejected
+const getFrontDay = (day) => {
+  if (!day) {
+    return new Date(Date.now() - 86400 * 1000).toISOString().slice(0, 10);
+  }
+  return /^\d{4}-\d{2}-\d{2}$/.test(day) && !Number.isNaN(Date.parse(`${day}T00:00:00Z`))
+    ? day
+    : null;
+};
+
+// Seconds to add to (shifted) item times so the recorded day's stories land on `day`
+const getFrontTimeOffset = (snapshot, day) => {
+  const recordedDayStart = Math.floor(snapshot.recordedAt / 86400) * 86400;
+  return Date.parse(`${day}T00:00:00Z`) / 1000 - recordedDayStart - snapshot.offset;
+};
+
+// ================================================================
+// REQUEST HANDLING
+// ================================================================
+const sendJson = (res, data) => {
+  res.writeHead(200, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(data));
+};
+
+const sendHtml = (res, title, body, session = null) => {
+  res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(renderLayout(title, body, session));
+};
+
+const sendText = (res, text) => {
+  res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end(text);
+};
+
+const sendNotFound = (res) => {
+  res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end("Unknown.");
+};
+
+// Recent changes as /v0/updates.json reports them: the newest items and the users who posted them
+const getUpdates = (snapshot, limit = 30) => {
+  const recent = [...snapshot.items.values()]
+    .sort((a, b) => b.time - a.time)
+    .slice(0, limit);
+  return {
+    items: recent.map((item) => item.id),
+    profiles: [...new Set(recent.map((item) => item.by))].filter((id) => snapshot.users.has(id)),
+  };
+};
+
+// Firebase-style API: /v0/newstories.json, /v0/item/{id}.json, /v0/maxitem.json ...
+// Resolves to undefined for unknown locations
+const getApiValue = (snapshot, pathname) => {
+  const listMatch = pathname.match(/^\/v0\/(\w+)\.json$/);
+  if (listMatch && snapshot.lists[listMatch[1]]) {
+    return snapshot.lists[listMatch[1]];
+  }
+
+  if (pathname === "/v0/maxitem.json") {
+    return Math.max(...snapshot.items.keys());
+  }
+
+  if (pathname === "/v0/updates.json") {
+    return getUpdates(snapshot);
+  }
+
+  const userMatch = pathname.match(/^\/v0\/user\/([\w-]+)\.json$/);
+  if (userMatch) {
+    return snapshot.users.get(userMatch[1]) || null;
+  }
+
+  const itemMatch = pathname.match(/^\/v0\/item\/(\d+)\.json$/);
+  if (itemMatch) {
+    // Firebase answers unknown items with a 200 and a null body
+    return snapshot.items.get(parseInt(itemMatch[1], 10)) || null;
+  }
+
+  return undefined;
+};
+
+const handleApiRequest = (snapshot, pathname, res) => {
+  const value = getApiValue(snapshot, pathname);
+  return value === undefined ? sendNotFound(res) : sendJson(res, value);
+};
+
+// ================================================================
+// LOGIN & SESSIONS
+// ================================================================
+
+// Logged-in sessions by token, plus the failed-login count behind the "Validation required" page
+const createAuthState = () => ({ sessions: new Map(), failedLogins: 0 });
+
+// HN's session cookie is `user=<username>&<token>`
+const readSession = (auth, req) => {
+  const cookie = (req.headers.cookie || "")
+    .split(/;\s*/)
+    .find((part) => part.startsWith("user="));
+  const [username, token] = (cookie?.slice(5) || "").split("&");
+  return token && auth.sessions.get(token) === username ? { username, token } : null;
+};
+
+// Only relative page names ("news", "item?id=1") are followed after login, never other hosts
+const getSafeGoto = (value) => (/^[a-z]+(\?[\w=&%.-]*)?$/i.test(value || "") ? value : "news");
+
+const readBody = (req, limit = 16 * 1024) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > limit) reject(new Error("Request body too large"));
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+
+const sendLoginPage = (res, body) => {
+  res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(body);
+};
+
+// POST /login: the fixture account gets a session cookie and is sent on to `goto`; anything else
+// gets "Bad login." until loginAttemptLimit failures in a row. After that, like HN, every login
+// (the correct password included) gets "Validation required" for the rest of the fixture's life.
+const handleLogin = async (auth, config, req, res) => {
+  const form = new URLSearchParams(await readBody(req));
+  const gotoTarget = getSafeGoto(form.get("goto"));
+
+  if (form.get("creating") === "t") {
+    return sendLoginPage(res, renderLoginPage(gotoTarget, "Account creation is disabled on the fixture."));
+  }
+
+  if (auth.failedLogins > config.loginAttemptLimit) {
+    return sendLoginPage(res, renderValidationPage());
+  }
+
+  if (form.get("acct") === FIXTURE_ACCOUNT.username && form.get("pw") === FIXTURE_ACCOUNT.password) {
+    const token = crypto.randomBytes(10).toString("hex");
+    auth.sessions.set(token, FIXTURE_ACCOUNT.username);
+    auth.failedLogins = 0;
+    res.writeHead(302, {
+      Location: gotoTarget,
+      "Set-Cookie": `user=${FIXTURE_ACCOUNT.username}&${token}; Path=/; HttpOnly; SameSite=Lax`,
+    });
+    return res.end();
+  }
+
+  auth.failedLogins++;
+  return sendLoginPage(
+    res,
+    auth.failedLogins > config.loginAttemptLimit
+      ? renderValidationPage()
+      : renderLoginPage(gotoTarget, "Bad login.")
+  );
+};
+
+// GET /logout?auth=<token>: ends the session the token belongs to
+const handleLogout = (auth, session, searchParams, res) => {
+  if (session && searchParams.get("auth") === session.token) {
+    auth.sessions.delete(session.token);
+  }
+  res.writeHead(302, {
+    Location: getSafeGoto(searchParams.get("goto")),
+    "Set-Cookie": "user=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax",
+  });
+  return res.end();
+};
+
+// ================================================================
+// LIVE FEED (Firebase REST streaming)
+// ================================================================
+
+const writeStreamEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// While at least one client is streaming, post a new story every liveStoryIntervalMs.
+// The story reaches maxitem at once and newstories liveListingDelayMs later, like HN's own lag.
+const createLiveFeed = (snapshot, config) => {
+  const subscribers = new Set();
+  const timers = new Set();
+  let storyTimer = null;
+  let keepAliveTimer = null;
+  let sequence = 0;
+
+  const later = (fn, delay) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, delay);
+    timers.add(timer);
+  };
+
+  // Send a put to every subscriber whose location changed value
+  const publish = () => {
+    subscribers.forEach((subscriber) => {
+      const value = getApiValue(snapshot, subscriber.pathname);
+      const text = JSON.stringify(value);
+      if (text === subscriber.lastSent) return;
+      subscriber.lastSent = text;
+      writeStreamEvent(subscriber.res, "put", { path: "/", data: value ?? null });
+    });
+  };
+
+  const postStory = () => {
+    sequence++;
+    const id = Math.max(...snapshot.items.keys()) + 1;
+    const authors = [...snapshot.users.values()];
+    const author = authors[sequence % authors.length];
+    const item = {
+      id,
+      type: "story",
+      by: author.id,
+      time: Math.floor(Date.now() / 1000),
+      title: `Live fixture story ${sequence}`,
+      url: `https://example.com/live/${sequence}`,
+      score: 1,
+      descendants: 0,
+    };
+
+    snapshot.items.set(id, item);
+    author.submitted = [id, ...(author.submitted || [])];
+    publish();
+
+    later(() => {
+      snapshot.lists.newstories = [id, ...snapshot.lists.newstories].slice(0, 500);
+      publish();
+    }, config.liveListingDelayMs);
+  };
+
+  const stop = () => {
+    clearInterval(storyTimer);
+    clearInterval(keepAliveTimer);
+    storyTimer = null;
+    keepAliveTimer = null;
+  };
+
+  const subscribe = (pathname, req, res) => {
+    const value = getApiValue(snapshot, pathname);
+    if (value === undefined) return sendNotFound(res);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    const subscriber = { pathname, res, lastSent: JSON.stringify(value) };
+    subscribers.add(subscriber);
+    writeStreamEvent(res, "put", { path: "/", data: value });
+
+    req.on("close", () => {
+      subscribers.delete(subscriber);
+      if (subscribers.size === 0) stop();
+    });
+
+    if (!storyTimer) {
+      storyTimer = setInterval(postStory, config.liveStoryIntervalMs);
+      keepAliveTimer = setInterval(() => {
+        subscribers.forEach((s) => writeStreamEvent(s.res, "keep-alive", null));
+      }, 30000);
+    }
+  };
+
+  // End open streams so server.close() does not wait on them
+  const close = () => {
+    stop();
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+    subscribers.forEach((subscriber) => subscriber.res.end());
+    subscribers.clear();
+  };
+
+  return { subscribe, close };
+};
+
+const createRequestHandler = (snapshot, config, liveFeed, auth) => (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, "http://fixture.local");
+  const session = readSession(auth, req);
+  const sendPage = (title, body) => sendHtml(res, title, body, session);
+  const listingOptions = { auth: session?.token };
+
+  try {
+    if (req.method === "POST" && pathname === "/login") {
+      return handleLogin(auth, config, req, res).catch((error) => {
+        res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+        res.end(`Fixture server error: ${error.message}`);
+      });
+    }
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { "Content-Type": "text/plain; charset=utf-8" });
+      return res.end("Method not allowed.");
+    }
+
+    if (pathname.startsWith("/v0/")) {
+      if ((req.headers.accept || "").includes("text/event-stream")) {
+        return liveFeed.subscribe(pathname, req, res);
+      }
+      return handleApiRequest(snapshot, pathname, res);
+    }
+
+    switch (pathname) {
+      case "/":
+      case "/news":
+        return sendPage(
+          "Hacker News",
+          renderListing(snapshot, "topstories", "news", searchParams, config.pageSize, listingOptions)
+        );
+      case "/newest":
+        return sendPage(
+          "New Links | Hacker News",
+          renderListing(snapshot, "newstories", "newest", searchParams, config.pageSize, listingOptions)
+        );
+      case "/ask":
+        return sendPage(
+          "Ask | Hacker News",
+          renderListing(snapshot, "askstories", "ask", searchParams, config.pageSize, listingOptions)
+        );
+      case "/show":
+        return sendPage(
+          "Show | Hacker News",
+          renderListing(snapshot, "showstories", "show", searchParams, config.pageSize, listingOptions)
+        );
+      case "/jobs":
+        return sendPage(
+          "Jobs | Hacker News",
+          renderListing(snapshot, "jobstories", "jobs", searchParams, config.pageSize, listingOptions)
+        );
+      case "/best":
+        return sendPage(
+          "Top Links | Hacker News",
+          renderListing(snapshot, "beststories", "best", searchParams, config.pageSize, listingOptions)
+        );
+      case "/front": {
+        const day = getFrontDay(searchParams.get("day"));
+        if (!day) return sendNotFound(res);
+        return sendPage(
+          `${day} front | Hacker News`,
+          renderListing(snapshot, "frontstories", "front", searchParams, config.pageSize, {
+            ...listingOptions,
+            timeOffset: getFrontTimeOffset(snapshot, day),
+            pageParams: { day },
+          })
+        );
+      }
+      case "/login": {
+        const gotoTarget = searchParams.get("goto") || "news";
+        const message = gotoTarget === "submit" ? "You have to be logged in to submit." : null;
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        return res.end(renderLoginPage(gotoTarget, message));
+      }
+      case "/submit":
+        if (session) return sendPage("Submit | Hacker News", renderSubmitPage());
+        // Logged-out visitors are sent to the login page, as on HN
+        res.writeHead(302, { Location: "login?goto=submit" });
+        return res.end();
+      case "/logout":
+        return handleLogout(auth, session, searchParams, res);
+      case "/user": {
+        const user = snapshot.users.get(searchParams.get("id"));
+        // HN answers unknown users with a bare 200 message
+        if (!user) return sendText(res, "No such user.");
+        return sendPage(`Profile: ${user.id} | Hacker News`, renderUserPage(user));
+      }
+      case "/submitted": {
+        const user = snapshot.users.get(searchParams.get("id"));
+        if (!user) return sendText(res, "No such user.");
+        return sendPage(
+          `${user.id}'s submissions | Hacker News`,
+          renderListing(snapshot, "submitted", "submitted", searchParams, config.pageSize, {
+            ...listingOptions,
+            ids: getSubmittedStoryIds(snapshot, user),
+            pageParams: { id: user.id },
+          })
+        );
+      }
+      case "/item": {
+        const item = snapshot.items.get(parseInt(searchParams.get("id"), 10));
+        if (!item) return sendNotFound(res);
+        return sendPage(
+          `${item.title || item.text || item.id} | Hacker News`,
+          renderItemPage(snapshot, item, session?.token)
+        );
+      }
+      default:
+        return sendNotFound(res);
+    }
+  } catch (error) {
+    res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end(`Fixture server error: ${error.message}`);
+  }
+};
+
+// Start the fixture server and resolve once it is listening
+const startFixtureServer = async (options = {}) => {
+  const config = { ...DEFAULT_FIXTURE_CONFIG, ...options };
+  const snapshot = await loadSnapshot(config.snapshotPath, config.shiftTimes);
+  const liveFeed = createLiveFeed(snapshot, config);
+  const auth = createAuthState();
+  const server = http.createServer(createRequestHandler(snapshot, config, liveFeed, auth));
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(config.port, config.host, resolve);
+  });
+
+  const { port } = server.address();
+  const baseUrl = `http://${config.host}:${port}`;
+
+  console.log(
+    chalk.gray(
+      `Offline fixture server listening on ${baseUrl} (${snapshot.items.size} recorded items)`
+    )
+  );
+
+  return {
+    baseUrl,
+    apiBaseUrl: `${baseUrl}/v0`,
+    port,
+    snapshot,
+    close: () => {
+      liveFeed.close();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+};
+
+module.exports = {
+  startFixtureServer,
+  formatAge,
+  formatAgeTitle,
+  DEFAULT_FIXTURE_CONFIG,
+  FIXTURE_ACCOUNT,
+};
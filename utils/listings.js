@@ -0,0 +1,79 @@
+// HN Listings - The listing pages the UI suite can validate and the ordering rule each one follows
+
+// Ordering rules a listing can declare:
+//  time-descending - newest submission first (/newest, /jobs)
+//  rank-by-score     - HN's ranking heuristic, points decayed by age (/news, /ask, /show)
+//  points-descending - highest points first, whatever the age (/best)
+//  date-bucketed     - every story posted on one UTC day, highest points first (/front?day=)
+const ORDERING_RULES = ["time-descending", "rank-by-score", "points-descending", "date-bucketed"];
+
+const LISTINGS = {
+  newest: { path: "newest", ordering: "time-descending", description: "New links" },
+  news: { path: "news", ordering: "rank-by-score", description: "Front page" },
+  ask: { path: "ask", ordering: "rank-by-score", description: "Ask HN" },
+  show: { path: "show", ordering: "rank-by-score", description: "Show HN" },
+  jobs: { path: "jobs", ordering: "time-descending", description: "Jobs" },
+  best: { path: "best", ordering: "points-descending", description: "Best stories" },
+  front: { path: "front", ordering: "date-bucketed", description: "Past front pages" },
+};
+
+const LISTING_NAMES = Object.keys(LISTINGS);
+
+// Listing specs accepted in config and on the command line: a name, or front?day=YYYY-MM-DD
+const LISTING_SPEC_PATTERN = `^(${LISTING_NAMES.join("|")})(\\?day=\\d{4}-\\d{2}-\\d{2})?$`;
+
+// HN's /front without a day shows yesterday (UTC)
+const getDefaultFrontDay = (now = new Date()) =>
+  new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// Turn a listing spec into the page path, ordering rule and a stable id for reports
+const resolveListing = (spec = "newest", now = new Date()) => {
+  if (typeof spec === "object" && spec !== null) return spec;
+
+  const [name, query = ""] = String(spec).trim().split("?");
+  const listing = LISTINGS[name];
+  if (!listing) {
+    throw new Error(
+      `Unknown listing "${spec}". Expected one of: ${LISTING_NAMES.join(", ")}`
+    );
+  }
+
+  const day = new URLSearchParams(query).get("day");
+  if (query && (name !== "front" || !day)) {
+    throw new Error(`Listing "${spec}" does not take "${query}" - only front?day=YYYY-MM-DD does`);
+  }
+  if (day && Number.isNaN(Date.parse(`${day}T00:00:00Z`))) {
+    throw new Error(`Invalid day in listing "${spec}". Expected YYYY-MM-DD`);
+  }
+
+  if (listing.ordering !== "date-bucketed") {
+    return { id: name, name, ...listing, day: null };
+  }
+
+  const bucketDay = day || getDefaultFrontDay(now);
+  return {
+    id: `${name}-${bucketDay}`,
+    name,
+    ...listing,
+    path: `${listing.path}?day=${bucketDay}`,
+    day: bucketDay,
+  };
+};
+
+// Listing fields carried into test results so reports can group by listing
+const summarizeListing = (listing) => ({
+  id: listing.id,
+  name: listing.name,
+  path: listing.path,
+  ordering: listing.ordering,
+  day: listing.day,
+});
+
+module.exports = {
+  LISTINGS,
+  LISTING_NAMES,
+  LISTING_SPEC_PATTERN,
+  ORDERING_RULES,
+  resolveListing,
+  summarizeListing,
+};
@@ -4,7 +4,7 @@ const path = require("path");
 const moment = require("moment");
 const chalk = require('chalk');
 
-// Quality Metrics Configuration
+// Quality Metrics Configuration - defaults for settings missing from the config file `metrics` section
 const METRICS_CONFIG = {
   historyFile: "./reports/quality-metrics-history.json",
   retentionDays: 30,
@@ -18,7 +18,13 @@ const METRICS_CONFIG = {
 };
 
 class QualityMetricsTracker {
-  constructor() {
+  constructor(metricsConfig = {}) {
+    this.settings = {
+      ...METRICS_CONFIG,
+      ...metricsConfig,
+      thresholds: { ...METRICS_CONFIG.thresholds, ...metricsConfig.thresholds }
+    };
+    this.historyFile = this.settings.historyFile;
     this.metricsHistory = [];
     this.currentMetrics = null;
     this.trends = null;
@@ -37,12 +43,12 @@ class QualityMetricsTracker {
 
   // Load historical metrics data
   async loadMetricsHistory() {
-    const historyPath = path.resolve(METRICS_CONFIG.historyFile);
+    const historyPath = path.resolve(this.historyFile);
     if (await fs.pathExists(historyPath)) {
       this.metricsHistory = await fs.readJson(historyPath);
       
       // Clean old data based on retention policy
-      const cutoffDate = moment().subtract(METRICS_CONFIG.retentionDays, 'days');
+      const cutoffDate = moment().subtract(this.settings.retentionDays, 'days');
       this.metricsHistory = this.metricsHistory.filter(entry => 
         moment(entry.timestamp).isAfter(cutoffDate)
       );
@@ -51,7 +57,7 @@ class QualityMetricsTracker {
 
   // Save metrics history to file
   async saveMetricsHistory() {
-    const historyPath = path.resolve(METRICS_CONFIG.historyFile);
+    const historyPath = path.resolve(this.historyFile);
     await fs.ensureDir(path.dirname(historyPath));
     await fs.writeJson(historyPath, this.metricsHistory, { spaces: 2 });
   }
@@ -88,8 +94,8 @@ class QualityMetricsTracker {
     return {
       sortingAccuracy: {
         value: sortingAccuracy.accuracy,
-        threshold: METRICS_CONFIG.thresholds.sortingAccuracy,
-        status: sortingAccuracy.accuracy >= METRICS_CONFIG.thresholds.sortingAccuracy ? 'PASS' : 'FAIL',
+        threshold: this.settings.thresholds.sortingAccuracy,
+        status: sortingAccuracy.accuracy >= this.settings.thresholds.sortingAccuracy ? 'PASS' : 'FAIL',
         trend: this.calculateTrend('sortingAccuracy', sortingAccuracy.accuracy)
       },
       dataExtraction: {
@@ -128,8 +134,8 @@ class QualityMetricsTracker {
       },
       performanceScore: {
         value: performanceScore,
-        threshold: METRICS_CONFIG.thresholds.performanceScore,
-        status: performanceScore >= METRICS_CONFIG.thresholds.performanceScore ? 'PASS' : 'WARN',
+        threshold: this.settings.thresholds.performanceScore,
+        status: performanceScore >= this.settings.thresholds.performanceScore ? 'PASS' : 'WARN',
         trend: this.calculateTrend('performanceScore', performanceScore)
       },
       resourceUsage: {
@@ -151,8 +157,8 @@ class QualityMetricsTracker {
     return {
       securityScore: {
         value: securityScore,
-        threshold: METRICS_CONFIG.thresholds.securityScore,
-        status: securityScore >= METRICS_CONFIG.thresholds.securityScore ? 'PASS' : 'FAIL',
+        threshold: this.settings.thresholds.securityScore,
+        status: securityScore >= this.settings.thresholds.securityScore ? 'PASS' : 'FAIL',
         trend: this.calculateTrend('securityScore', securityScore)
       },
       vulnerabilities: {
@@ -175,8 +181,8 @@ class QualityMetricsTracker {
     return {
       completeness: {
         value: dataValidation.completenessRatio,
-        threshold: METRICS_CONFIG.thresholds.dataCompleteness,
-        status: dataValidation.completenessRatio >= METRICS_CONFIG.thresholds.dataCompleteness ? 'PASS' : 'FAIL',
+        threshold: this.settings.thresholds.dataCompleteness,
+        status: dataValidation.completenessRatio >= this.settings.thresholds.dataCompleteness ? 'PASS' : 'FAIL',
         trend: this.calculateTrend('dataCompleteness', dataValidation.completenessRatio)
       },
       accuracy: {
@@ -192,44 +198,35 @@ class QualityMetricsTracker {
     };
   }
 
-  // Calculate API quality metrics
+  // Calculate API quality metrics from the API test verdicts (HNApiTester.runAllTests)
   calculateApiQualityMetrics(testResults) {
-    // Placeholder for API metrics - will be populated when API tests are implemented
-    const apiResults = testResults.api;
-    
-    if (!apiResults) {
+    const apiTests = testResults.api?.testResults;
+
+    // A metric from one test verdict: its value when it ran, 0 when it errored, and a
+    // neutral 100 when it was skipped or not run so missing data doesn't lower the score
+    const fromVerdict = (verdict, threshold, getValue) => {
+      if (!verdict || verdict.status === 'SKIPPED') {
+        return { value: 100, threshold, status: verdict ? 'SKIPPED' : 'PASS' };
+      }
       return {
-        availability: { value: 100, status: 'PASS' },
-        performance: { value: 100, status: 'PASS' },
-        dataIntegrity: { value: 100, status: 'PASS' },
-        contractCompliance: { value: 100, status: 'PASS' }
+        value: verdict.status === 'ERROR' ? 0 : Math.round(getValue(verdict)),
+        threshold,
+        status: verdict.status === 'PASS' ? 'PASS' : 'FAIL',
+        failedAssertions: verdict.assertions.filter(assertion => !assertion.passed).map(assertion => assertion.name)
       };
-    }
+    };
+
+    const endpointSuccessRate = ({ endpoints }) => {
+      const checked = Object.values(endpoints);
+      return checked.length > 0 ? (checked.filter(endpoint => endpoint.success).length / checked.length) * 100 : 0;
+    };
 
     return {
-      availability: {
-        value: apiResults.availability ? apiResults.availability.overallStatus === 'PASS' ? 100 : 0 : 100,
-        threshold: 99,
-        status: apiResults.availability ? apiResults.availability.overallStatus : 'PASS'
-      },
-      performance: {
-        value: apiResults.performance ? Math.max(0, 100 - apiResults.performance.averageResponseTime / 20) : 100,
-        threshold: 80,
-        status: apiResults.performance ? 
-          (apiResults.performance.averageResponseTime <= 2000 ? 'PASS' : 'WARN') : 'PASS'
-      },
-      dataIntegrity: {
-        value: apiResults.dataIntegrity ? apiResults.dataIntegrity.dataQualityScore : 100,
-        threshold: 95,
-        status: apiResults.dataIntegrity ? 
-          (apiResults.dataIntegrity.dataQualityScore >= 95 ? 'PASS' : 'FAIL') : 'PASS'
-      },
-      contractCompliance: {
-        value: apiResults.contractCompliance ? apiResults.contractCompliance.complianceScore : 100,
-        threshold: 95,
-        status: apiResults.contractCompliance ? 
-          (apiResults.contractCompliance.complianceScore >= 95 ? 'PASS' : 'FAIL') : 'PASS'
-      }
+      availability: fromVerdict(apiTests?.apiAvailability, 99, endpointSuccessRate),
+      // Share of load-test requests answered within the REQ-003 response time
+      performance: fromVerdict(apiTests?.performanceMetrics, 95, verdict => verdict.slo.withinThreshold),
+      dataIntegrity: fromVerdict(apiTests?.dataIntegrity, 90, verdict => verdict.dataQualityScore),
+      contractCompliance: fromVerdict(apiTests?.contractCompliance, 95, verdict => verdict.complianceScore)
     };
   }
 
@@ -274,8 +271,8 @@ class QualityMetricsTracker {
 
     return {
       value: Math.round(overallScore),
-      threshold: METRICS_CONFIG.thresholds.overallQuality,
-      status: overallScore >= METRICS_CONFIG.thresholds.overallQuality ? 'PASS' : 'FAIL',
+      threshold: this.settings.thresholds.overallQuality,
+      status: overallScore >= this.settings.thresholds.overallQuality ? 'PASS' : 'FAIL',
       grade: this.calculateQualityGrade(overallScore),
       components: {
         functional: Math.round(functionalScore),
@@ -429,17 +426,17 @@ class QualityMetricsTracker {
     const latest = metrics[metrics.length - 1];
 
     // Check overall quality
-    if (latest.overall.value < METRICS_CONFIG.thresholds.overallQuality) {
+    if (latest.overall.value < this.settings.thresholds.overallQuality) {
       recommendations.push({
         type: 'critical',
         category: 'overall',
-        message: `Overall quality score (${latest.overall.value}) is below threshold (${METRICS_CONFIG.thresholds.overallQuality})`,
+        message: `Overall quality score (${latest.overall.value}) is below threshold (${this.settings.thresholds.overallQuality})`,
         priority: 'high'
       });
     }
 
     // Check functional quality
-    if (latest.functional.sortingAccuracy.value < METRICS_CONFIG.thresholds.sortingAccuracy) {
+    if (latest.functional.sortingAccuracy.value < this.settings.thresholds.sortingAccuracy) {
       recommendations.push({
         type: 'functional',
         category: 'sorting',
@@ -449,7 +446,7 @@ class QualityMetricsTracker {
     }
 
     // Check performance
-    if (latest.performance.performanceScore.value < METRICS_CONFIG.thresholds.performanceScore) {
+    if (latest.performance.performanceScore.value < this.settings.thresholds.performanceScore) {
       recommendations.push({
         type: 'performance',
         category: 'speed',
@@ -459,7 +456,7 @@ class QualityMetricsTracker {
     }
 
     // Check security
-    if (latest.security.securityScore.value < METRICS_CONFIG.thresholds.securityScore) {
+    if (latest.security.securityScore.value < this.settings.thresholds.securityScore) {
       recommendations.push({
         type: 'security',
         category: 'vulnerabilities',
@@ -469,7 +466,7 @@ class QualityMetricsTracker {
     }
 
     // Check data quality
-    if (latest.dataQuality.completeness.value < METRICS_CONFIG.thresholds.dataCompleteness) {
+    if (latest.dataQuality.completeness.value < this.settings.thresholds.dataCompleteness) {
       recommendations.push({
         type: 'dataQuality',
         category: 'completeness',
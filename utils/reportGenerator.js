@@ -3,6 +3,59 @@ const path = require("path");
 const moment = require("moment");
 const chalk = require("chalk");
 const QualityMetricsTracker = require("./qualityMetrics");
+const {
+  getSelectorDriftWarnings,
+  mergeSelectorHealth,
+} = require("./selectorHealth");
+
+// Accent colors for each engine in the cross-browser sections
+const BROWSER_COLORS = {
+  chromium: "#4285f4",
+  firefox: "#ff9500",
+  webkit: "#34c759",
+};
+
+const getBrowserColor = (browser) => BROWSER_COLORS[browser] || "#707a8c";
+
+// Type and moderation badges shown before an article title
+const formatArticleBadges = (article) => {
+  const labels = { job: "Job", show: "Show HN", ask: "Ask HN" };
+  const badges = [];
+  if (labels[article.type]) {
+    badges.push(`<span class="badge">${labels[article.type]}</span>`);
+  }
+  if (article.isDead) badges.push('<span class="badge moderated">Dead</span>');
+  if (article.isFlagged) badges.push('<span class="badge moderated">Flagged</span>');
+  return badges.join("");
+};
+
+// Emulation attributes shown for each viewport profile, in display order
+const formatDeviceProfileRows = (profile, ignoredBy = {}) => {
+  if (!profile) return [];
+  const yesNo = (value) => (value ? "Yes" : "No");
+  const notApplied = (attribute) =>
+    ignoredBy[attribute]
+      ? ` <span style="color: #ffcc66;">(not applied on ${ignoredBy[attribute].join(", ")})</span>`
+      : "";
+
+  return [
+    ["Device", profile.device || "Custom"],
+    ["Size", `${profile.width}x${profile.height} @${profile.deviceScaleFactor ?? 1}x`],
+    ["Mobile", yesNo(profile.isMobile) + notApplied("isMobile")],
+    ["Touch", yesNo(profile.hasTouch) + notApplied("hasTouch")],
+    ["Locale", profile.locale || "Browser default"],
+    ["Timezone", profile.timezoneId || "System default"],
+    ["Color Scheme", profile.colorScheme || "Browser default"],
+  ];
+};
+
+// Status colors for the selector health table
+const SELECTOR_STATUS_COLORS = {
+  ok: "#87d96c",
+  drift: "#ffcc66",
+  broken: "#f28779",
+  "insufficient-data": "#707a8c",
+};
 
 // HTML report generation
 const generateHTMLReport = async (
@@ -384,6 +437,28 @@ const generateHTMLReport = async (
             text-decoration: underline;
         }
         
+        .articles-table .site {
+            color: #707a8c;
+            font-size: 0.85em;
+            margin-left: 6px;
+        }
+
+        .articles-table .badge {
+            display: inline-block;
+            padding: 1px 6px;
+            margin-right: 6px;
+            border-radius: 4px;
+            font-size: 0.75em;
+            font-weight: 600;
+            text-transform: uppercase;
+            background: #2d3340;
+            color: #95e6cb;
+        }
+
+        .articles-table .badge.moderated {
+            color: #f28779;
+        }
+
         .articles-table .author {
             color: #707a8c;
             font-size: 0.95em;
@@ -544,37 +619,13 @@ const generateHTMLReport = async (
                 ${Object.entries(testResults.aggregatedData.browserPerformance)
                   .map(
                     ([browser, metrics]) => `
-                    <div style="text-align: center; padding: 20px; background: #1f2430; border-radius: 8px; border: 2px solid ${
-                      browser === "chromium"
-                        ? "#4285f4"
-                        : browser === "firefox"
-                        ? "#ff9500"
-                        : "#707a8c"
-                    };">
-                        <h4 style="color: ${
-                          browser === "chromium"
-                            ? "#4285f4"
-                            : browser === "firefox"
-                            ? "#ff9500"
-                            : "#707a8c"
-                        }; text-transform: uppercase; margin-bottom: 15px;">${browser}</h4>
-                        <div style="font-size: 2em; font-weight: bold; color: ${
-                          browser === "chromium"
-                            ? "#4285f4"
-                            : browser === "firefox"
-                            ? "#ff9500"
-                            : "#707a8c"
-                        };">
+                    <div style="text-align: center; padding: 20px; background: #1f2430; border-radius: 8px; border: 2px solid ${getBrowserColor(browser)};">
+                        <h4 style="color: ${getBrowserColor(browser)}; text-transform: uppercase; margin-bottom: 15px;">${browser}</h4>
+                        <div style="font-size: 2em; font-weight: bold; color: ${getBrowserColor(browser)};">
                             ${metrics.avgLoadTime}ms
                         </div>
                         <div style="color: #cccac2; margin-bottom: 10px;">Average Load Time</div>
-                        <div style="font-size: 1.5em; font-weight: bold; color: ${
-                          browser === "chromium"
-                            ? "#4285f4"
-                            : browser === "firefox"
-                            ? "#ff9500"
-                            : "#707a8c"
-                        };">
+                        <div style="font-size: 1.5em; font-weight: bold; color: ${getBrowserColor(browser)};">
                             ${metrics.avgAccuracy}%
                         </div>
                         <div style="color: #cccac2;">Sorting Accuracy</div>
@@ -591,6 +642,12 @@ const generateHTMLReport = async (
         <div class="grid">
             <div class="card">
                 <h3>📊 Sorting Analysis</h3>
+                <div class="metric">
+                    <span>Listing</span>
+                    <span class="metric-value">/${testResults.listing?.path || "newest"} (${
+                      testResults.listing?.ordering || "time-descending"
+                    })</span>
+                </div>
                 <div class="metric">
                     <span>Accuracy</span>
                     <span class="metric-value">${
@@ -613,6 +670,12 @@ const generateHTMLReport = async (
                       sortingAccuracy.correctPairs
                     }</span>
                 </div>
+                <div class="metric">
+                    <span>Tied Pairs (within precision)</span>
+                    <span class="metric-value">${
+                      sortingAccuracy.tiedPairs ?? 0
+                    }</span>
+                </div>
                 <div class="metric">
                     <span>Incorrect Pairs</span>
                     <span class="metric-value">${
@@ -685,6 +748,23 @@ const generateHTMLReport = async (
                         : "N/A"
                     }</span>
                 </div>
+                <div class="metric">
+                    <span>Article Extraction</span>
+                    <span class="metric-value">${
+                      performance.extraction
+                        ? `${performance.extraction.avgPerPageMs}ms/page (${performance.extraction.pages.length} pages)`
+                        : "N/A"
+                    }</span>
+                </div>
+                ${
+                  performance.extraction?.fallbackRows > 0
+                    ? `
+                <div class="metric">
+                    <span>Fallback Rows</span>
+                    <span class="metric-value">${performance.extraction.fallbackRows}</span>
+                </div>`
+                    : ""
+                }
                 <div class="metric">
                     <span>Viewport</span>
                     <span class="metric-value">${viewport || "Desktop"}</span>
@@ -792,6 +872,7 @@ const generateHTMLReport = async (
                                 <th class="title">Title</th>
                                 <th class="author">Author</th>
                                 <th class="score">Score</th>
+                                <th class="score">Comments</th>
                                 <th class="timestamp">Posted</th>
                             </tr>
                         </thead>
@@ -801,18 +882,32 @@ const generateHTMLReport = async (
                               .map(
                                 (article, index) => `
                                 <tr>
-                                    <td class="position">${index + 1}</td>
+                                    <td class="position">${
+                                      article.rank ?? index + 1
+                                    }</td>
                                     <td class="title">
+                                        ${formatArticleBadges(article)}
                                         <a href="${
                                           article.url || "#"
                                         }" target="_blank" rel="noopener noreferrer">
                                             ${article.title || "Untitled"}
                                         </a>
+                                        ${
+                                          article.site
+                                            ? `<span class="site">(${article.site})</span>`
+                                            : ""
+                                        }
                                     </td>
                                     <td class="author">${
-                                      article.author || "Unknown"
+                                      article.author ||
+                                      (article.isJob ? "—" : "Unknown")
+                                    }</td>
+                                    <td class="score">${
+                                      article.isJob ? "—" : article.score || 0
+                                    }</td>
+                                    <td class="score">${
+                                      article.commentCount ?? "—"
                                     }</td>
-                                    <td class="score">${article.score || 0}</td>
                                     <td class="timestamp">${
                                       article.timestampText || "N/A"
                                     }</td>
@@ -850,20 +945,8 @@ const generateHTMLReport = async (
                 ${Object.entries(testResults.aggregatedData.browserPerformance)
                   .map(
                     ([browser, metrics]) => `
-                    <div class="card" style="border-left-color: ${
-                      browser === "chromium"
-                        ? "#4285f4"
-                        : browser === "firefox"
-                        ? "#ff9500"
-                        : "#707a8c"
-                    };">
-                        <h4 style="text-transform: uppercase; color: ${
-                          browser === "chromium"
-                            ? "#4285f4"
-                            : browser === "firefox"
-                            ? "#ff9500"
-                            : "#707a8c"
-                        };">${browser}</h4>
+                    <div class="card" style="border-left-color: ${getBrowserColor(browser)};">
+                        <h4 style="text-transform: uppercase; color: ${getBrowserColor(browser)};">${browser}</h4>
                         <div class="metric">
                             <span>Avg Load Time</span>
                             <span class="metric-value">${
@@ -928,6 +1011,222 @@ const generateHTMLReport = async (
         }
         
 
+        ${
+          testResults.aggregatedData?.listingPerformance
+            ? `
+        <div class="details-section">
+            <h3>🗂️ Results by Listing</h3>
+            <div class="grid">
+                ${Object.values(testResults.aggregatedData.listingPerformance)
+                  .map(
+                    (metrics) => `
+                    <div class="card">
+                        <h4>/${metrics.path}</h4>
+                        <div class="metric">
+                            <span>Ordering Rule</span>
+                            <span class="metric-value">${metrics.ordering}</span>
+                        </div>
+                        <div class="metric">
+                            <span>Avg Accuracy</span>
+                            <span class="metric-value">${metrics.avgAccuracy}%</span>
+                        </div>
+                        <div class="metric">
+                            <span>Accuracy Range</span>
+                            <span class="metric-value">${metrics.minAccuracy}-${metrics.maxAccuracy}%</span>
+                        </div>
+                        <div class="metric">
+                            <span>Avg Articles</span>
+                            <span class="metric-value">${metrics.avgArticles}</span>
+                        </div>
+                        <div class="metric">
+                            <span>Sorting Errors</span>
+                            <span class="metric-value">${metrics.sortingErrors}</span>
+                        </div>
+                        <div class="metric">
+                            <span>Runs</span>
+                            <span class="metric-value">${metrics.successfulRuns}/${metrics.totalRuns}${
+                              metrics.totalRuns > metrics.successfulRuns
+                                ? ` <span style="color: #f28779;">(${metrics.totalRuns - metrics.successfulRuns} failed)</span>`
+                                : ""
+                            }</span>
+                        </div>
+                        <div class="metric">
+                            <span>Browsers</span>
+                            <span class="metric-value">${metrics.browsers.join(", ")}</span>
+                        </div>
+                    </div>
+                `
+                  )
+                  .join("")}
+            </div>
+        </div>
+        `
+            : ""
+        }
+
+        ${
+          testResults.aggregatedData?.viewportPerformance
+            ? `
+        <div class="details-section">
+            <h3>📱 Viewport Performance & Device Profiles</h3>
+            <div class="grid">
+                ${Object.entries(testResults.aggregatedData.viewportPerformance)
+                  .map(
+                    ([viewport, metrics]) => `
+                    <div class="card">
+                        <h4>${viewport}</h4>
+                        <div class="metric">
+                            <span>Avg Load Time</span>
+                            <span class="metric-value">${metrics.avgLoadTime}ms</span>
+                        </div>
+                        <div class="metric">
+                            <span>Avg Accuracy</span>
+                            <span class="metric-value">${metrics.avgAccuracy}%</span>
+                        </div>
+                        <div class="metric">
+                            <span>Browsers</span>
+                            <span class="metric-value">${metrics.browsers.join(", ")}</span>
+                        </div>
+                        ${formatDeviceProfileRows(metrics.deviceProfile, metrics.ignoredBy)
+                          .map(
+                            ([label, value]) => `
+                        <div class="metric">
+                            <span>${label}</span>
+                            <span class="metric-value">${value}</span>
+                        </div>`
+                          )
+                          .join("")}
+                    </div>
+                `
+                  )
+                  .join("")}
+            </div>
+        </div>
+        `
+            : ""
+        }
+
+        ${
+          testResults.aggregatedData?.selectorHealth?.length > 0
+            ? `
+        <div class="details-section">
+            <h3>🧭 Selector Health & Drift</h3>
+            ${
+              testResults.aggregatedData.selectorDriftWarnings.length > 0
+                ? `
+            <div class="anomaly-list" style="margin-bottom: 20px;">
+                ${testResults.aggregatedData.selectorDriftWarnings
+                  .map(
+                    (warning) => `
+                    <div class="anomaly-item anomaly-warning">${warning}</div>
+                `
+                  )
+                  .join("")}
+            </div>`
+                : ""
+            }
+            <table class="articles-table">
+                <thead>
+                    <tr>
+                        <th>Browser</th>
+                        <th>Lookup</th>
+                        <th>Primary Selector</th>
+                        <th>Lookups</th>
+                        <th>Primary Miss Rate</th>
+                        <th>Strategy Hits</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${testResults.aggregatedData.selectorHealth
+                      .map(
+                        (entry) => `
+                    <tr>
+                        <td style="color: ${getBrowserColor(entry.browser)};">${entry.browser}</td>
+                        <td>${entry.lookup}</td>
+                        <td><code>${entry.primarySelector}</code></td>
+                        <td>${entry.attempts}</td>
+                        <td>${entry.primaryMissRate}%</td>
+                        <td>${entry.strategyHits
+                          .filter((strategy) => strategy.hits > 0)
+                          .map((strategy) => `#${strategy.index} ${strategy.selector}: ${strategy.hits}`)
+                          .join("<br>") || "None"}${
+                          entry.misses > 0 ? `<br>No match: ${entry.misses}` : ""
+                        }</td>
+                        <td style="color: ${SELECTOR_STATUS_COLORS[entry.status]}; font-weight: bold;">${entry.status.toUpperCase()}</td>
+                    </tr>
+                `
+                      )
+                      .join("")}
+                </tbody>
+            </table>
+        </div>
+        `
+            : ""
+        }
+
+        ${
+          testResults.aggregatedData?.apiConsistency?.length > 0
+            ? `
+        <div class="details-section">
+            <h3>🔗 API ↔ UI Consistency</h3>
+            <p style="margin-bottom: 15px;">Mismatched / compared articles per field. Score and comment count allow for drift while the page loads.</p>
+            <table class="articles-table">
+                <thead>
+                    <tr>
+                        <th>Run</th>
+                        ${testResults.aggregatedData.apiConsistencyFields
+                          .map((field) => `<th>${field}</th>`)
+                          .join("")}
+                        <th>Missing in API</th>
+                        <th>Consistency</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${testResults.aggregatedData.apiConsistency
+                      .map(
+                        (run) => `
+                    <tr>
+                        <td><span style="color: ${getBrowserColor(run.browser)};">${run.browser}</span> · ${run.viewport} · /${run.listingPath}</td>
+                        ${testResults.aggregatedData.apiConsistencyFields
+                          .map((field) => {
+                            const stats = run.fieldStats[field];
+                            if (!stats || stats.compared === 0) return "<td>N/A</td>";
+                            return `<td style="color: ${
+                              stats.mismatched > 0 ? "#f28779" : "#87d96c"
+                            };">${stats.mismatched}/${stats.compared}</td>`;
+                          })
+                          .join("")}
+                        <td>${run.error ? `<span style="color: #f28779;">${run.error}</span>` : run.missingArticles}</td>
+                        <td>${run.consistencyScore.toFixed(1)}%</td>
+                    </tr>
+                `
+                      )
+                      .join("")}
+                </tbody>
+            </table>
+            ${
+              testResults.aggregatedData.apiDiscrepancySamples.length > 0
+                ? `
+            <div class="anomaly-list" style="margin-top: 20px;">
+                ${testResults.aggregatedData.apiDiscrepancySamples
+                  .map(
+                    (discrepancy) => `
+                    <div class="anomaly-item anomaly-warning">
+                        <strong>${discrepancy.field.toUpperCase()}</strong> on ${discrepancy.id} (${discrepancy.browser}, /${discrepancy.listingPath})<br>
+                        API: ${discrepancy.apiValue ?? "none"} · UI: ${discrepancy.uiValue ?? "none"}
+                    </div>
+                `
+                  )
+                  .join("")}
+            </div>`
+                : ""
+            }
+        </div>
+        `
+            : ""
+        }
+
         ${
           anomalies.anomalies.length > 0
             ? `
@@ -961,6 +1260,172 @@ const generateHTMLReport = async (
             : ""
         }
 
+        ${
+          testResults.comments?.threads?.length > 0
+            ? `
+        <div class="details-section">
+            <h3>💬 Comments</h3>
+            <div class="grid" style="margin-bottom: 20px;">
+                <div class="card">
+                    <div class="metric">
+                        <span>Threads Checked</span>
+                        <span class="metric-value">${testResults.comments.summary.validThreads}/${
+                          testResults.comments.summary.threadsChecked
+                        } consistent</span>
+                    </div>
+                    <div class="metric">
+                        <span>Comments Read</span>
+                        <span class="metric-value">${testResults.comments.summary.totalComments}</span>
+                    </div>
+                    <div class="metric">
+                        <span>Deepest Reply</span>
+                        <span class="metric-value">Depth ${testResults.comments.summary.maxDepth}</span>
+                    </div>
+                </div>
+                <div class="card">
+                    <div class="metric">
+                        <span>Count Mismatches</span>
+                        <span class="metric-value">${testResults.comments.summary.countMismatches}</span>
+                    </div>
+                    <div class="metric">
+                        <span>Nesting Errors</span>
+                        <span class="metric-value">${testResults.comments.summary.nestingErrors}</span>
+                    </div>
+                    <div class="metric">
+                        <span>Implausible Ages</span>
+                        <span class="metric-value">${testResults.comments.summary.implausibleAges}</span>
+                    </div>
+                </div>
+            </div>
+            <table class="articles-table">
+                <thead>
+                    <tr>
+                        <th>Story</th>
+                        <th>Listing Count</th>
+                        <th>Rendered</th>
+                        <th>Max Depth</th>
+                        <th>Authors</th>
+                        <th>Issues</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${testResults.comments.threads
+                      .map(
+                        (thread) => `
+                    <tr>
+                        <td class="title"><a href="${thread.url || "#"}" target="_blank">${
+                          thread.title || thread.itemId
+                        }</a></td>
+                        <td>${thread.listingCommentCount ?? "N/A"}</td>
+                        <td>${thread.error ? "N/A" : thread.visibleComments}</td>
+                        <td>${thread.error ? "N/A" : thread.maxDepth}</td>
+                        <td>${thread.error ? "N/A" : thread.authors}</td>
+                        <td>${
+                          thread.error
+                            ? `<span style="color: #f28779;">Not loaded: ${thread.error}</span>`
+                            : thread.issues.length > 0
+                            ? thread.issues.map((issue) => issue.message).join("<br>")
+                            : '<span style="color: #87d96c;">Consistent</span>'
+                        }</td>
+                    </tr>
+                `
+                      )
+                      .join("")}
+                </tbody>
+            </table>
+        </div>
+        `
+            : ""
+        }
+
+        ${
+          testResults.users?.profiles?.length > 0
+            ? `
+        <div class="details-section">
+            <h3>👤 Authors</h3>
+            <div class="grid" style="margin-bottom: 20px;">
+                <div class="card">
+                    <div class="metric">
+                        <span>Profiles Checked</span>
+                        <span class="metric-value">${testResults.users.summary.validUsers}/${
+                          testResults.users.summary.usersChecked
+                        } consistent</span>
+                    </div>
+                    <div class="metric">
+                        <span>Missing Profiles</span>
+                        <span class="metric-value">${testResults.users.summary.missingUsers}</span>
+                    </div>
+                </div>
+                <div class="card">
+                    <div class="metric">
+                        <span>Created After Submission</span>
+                        <span class="metric-value">${testResults.users.summary.createdAfterSubmission}</span>
+                    </div>
+                    <div class="metric">
+                        <span>Not Listed in submitted?id=</span>
+                        <span class="metric-value">${testResults.users.summary.missingSubmissions}</span>
+                    </div>
+                    ${
+                      testResults.users.apiComparison
+                        ? `
+                    <div class="metric">
+                        <span>API Consistency</span>
+                        <span class="metric-value">${testResults.users.apiComparison.consistencyScore.toFixed(1)}%</span>
+                    </div>`
+                        : ""
+                    }
+                </div>
+            </div>
+            <table class="articles-table">
+                <thead>
+                    <tr>
+                        <th>User</th>
+                        <th>Created</th>
+                        <th>Karma</th>
+                        <th>Stories Seen</th>
+                        <th>Issues</th>
+                        <th>API</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${testResults.users.profiles
+                      .map((profile) => {
+                        const apiDiscrepancies = (
+                          testResults.users.apiComparison?.discrepancies || []
+                        ).filter((discrepancy) => discrepancy.userId === profile.userId);
+                        return `
+                    <tr>
+                        <td class="title"><a href="${profile.url || "#"}" target="_blank">${profile.userId}</a></td>
+                        <td>${profile.createdText || "N/A"}</td>
+                        <td>${Number.isFinite(profile.karma) ? profile.karma : "N/A"}</td>
+                        <td>${profile.seenArticleIds.join(", ")}</td>
+                        <td>${
+                          profile.error
+                            ? `<span style="color: #f28779;">Not loaded: ${profile.error}</span>`
+                            : profile.issues.length > 0
+                            ? profile.issues.map((issue) => issue.message).join("<br>")
+                            : '<span style="color: #87d96c;">Consistent</span>'
+                        }</td>
+                        <td>${
+                          !testResults.users.apiComparison || profile.error
+                            ? "N/A"
+                            : apiDiscrepancies.length > 0
+                            ? apiDiscrepancies
+                                .map((d) => `${d.field}: API ${d.apiValue} vs UI ${d.uiValue}`)
+                                .join("<br>")
+                            : '<span style="color: #87d96c;">Match</span>'
+                        }</td>
+                    </tr>
+                `;
+                      })
+                      .join("")}
+                </tbody>
+            </table>
+        </div>
+        `
+            : ""
+        }
+
         <div class="recommendations">
             <h3>💡 Recommendations</h3>
             ${summary.recommendations
@@ -988,7 +1453,10 @@ const generateHTMLReport = async (
                 </div>
                 <div class="metric">
                     <span>Target URL</span>
-                    <span class="metric-value">https://news.ycombinator.com/newest</span>
+                    <span class="metric-value">${
+                      testResults.targetUrl ||
+                      "https://news.ycombinator.com/newest"
+                    }</span>
                 </div>
                 <div class="metric">
                     <span>Expected Articles</span>
@@ -1073,16 +1541,21 @@ const generateCSVReport = async (
   articles,
   outputPath = "./reports/articles-data.csv"
 ) => {
-  const csvHeader = "Position,ID,Title,Author,Score,Timestamp,TimestampText\n";
+  const csvHeader =
+    "Position,ID,Rank,Title,Site,Author,Score,Comments,Type,Dead,Flagged,Timestamp,TimestampText\n";
   const csvRows = articles
     .map((article, index) => {
       const safeTitle = (article.title || "").replace(/"/g, '""');
       const safeAuthor = (article.author || "").replace(/"/g, '""');
-      return `${index + 1},"${
-        article.id || ""
-      }","${safeTitle}","${safeAuthor}",${article.score || 0},"${
-        article.timestamp || ""
-      }","${article.timestampText || ""}"`;
+      return `${index + 1},"${article.id || ""}",${
+        article.rank ?? ""
+      },"${safeTitle}","${article.site || ""}","${safeAuthor}",${
+        article.score || 0
+      },${article.commentCount ?? ""},"${article.type || ""}",${Boolean(
+        article.isDead
+      )},${Boolean(article.isFlagged)},"${article.timestamp || ""}","${
+        article.timestampText || ""
+      }"`;
     })
     .join("\n");
 
@@ -1125,18 +1598,31 @@ const displayTestSummary = (result) => {
 };
 
 // Generate all reports in parallel
-const generateAllReports = async (testResults) => {
+const generateAllReports = async (
+  testResults,
+  outputDir = "./reports",
+  metricsConfig = {}
+) => {
   console.log(chalk.cyan.bold("\n📊 Generating Reports..."));
 
-  const aggregatedResults = aggregateResults(testResults);
+  const aggregatedResults = aggregateResults(testResults, metricsConfig);
 
   try {
     // Generate all reports in parallel for better performance
     const [htmlPath, jsonPath, csvPath] = await Promise.all([
-      generateHTMLReport(aggregatedResults),
-      generateJSONReport(aggregatedResults),
+      generateHTMLReport(
+        aggregatedResults,
+        path.join(outputDir, "test-report.html")
+      ),
+      generateJSONReport(
+        aggregatedResults,
+        path.join(outputDir, "test-results.json")
+      ),
       aggregatedResults.articles.length > 0
-        ? generateCSVReport(aggregatedResults.articles)
+        ? generateCSVReport(
+            aggregatedResults.articles,
+            path.join(outputDir, "articles-data.csv")
+          )
         : Promise.resolve(null),
     ]);
 
@@ -1154,7 +1640,7 @@ const generateAllReports = async (testResults) => {
 };
 
 // Aggregate results from all test runs with cross-browser analysis
-const aggregateResults = (testResults) => {
+const aggregateResults = (testResults, metricsConfig = {}) => {
   const successfulResults = testResults.filter((r) => !r.failed);
 
   if (successfulResults.length === 0) {
@@ -1174,7 +1660,7 @@ const aggregateResults = (testResults) => {
   }
 
   // Generate quality metrics for aggregated results
-  const qualityTracker = new QualityMetricsTracker();
+  const qualityTracker = new QualityMetricsTracker(metricsConfig);
   const qualityMetrics = qualityTracker.calculateQualityMetrics(primaryResult);
 
   // Cross-browser performance analysis
@@ -1200,8 +1686,16 @@ const aggregateResults = (testResults) => {
         loadTimes: [],
         accuracy: [],
         browsers: new Set(),
+        deviceProfile: result.deviceProfile || null,
+        ignoredBy: {},
       };
     }
+    (result.deviceProfile?.ignored || []).forEach((attribute) => {
+      viewportPerformance[viewport].ignoredBy[attribute] = [
+        ...(viewportPerformance[viewport].ignoredBy[attribute] || []),
+        browser,
+      ];
+    });
     viewportPerformance[viewport].loadTimes.push(result.performance.loadTime);
     viewportPerformance[viewport].accuracy.push(
       result.sortingAccuracy.accuracy
@@ -1209,6 +1703,46 @@ const aggregateResults = (testResults) => {
     viewportPerformance[viewport].browsers.add(browser);
   });
 
+  // Per-listing metrics; failed runs count towards each listing's run total
+  const listingPerformance = {};
+  testResults.forEach((result) => {
+    const listing = result.listing || { id: "newest", path: "newest", ordering: "time-descending" };
+    if (!listingPerformance[listing.id]) {
+      listingPerformance[listing.id] = {
+        path: listing.path,
+        ordering: listing.ordering,
+        day: listing.day || null,
+        accuracy: [],
+        articleCounts: [],
+        sortingErrors: 0,
+        browsers: new Set(),
+        totalRuns: 0,
+      };
+    }
+    const data = listingPerformance[listing.id];
+    data.totalRuns++;
+    if (result.failed) return;
+    data.accuracy.push(result.sortingAccuracy.accuracy);
+    data.articleCounts.push(result.articles.length);
+    data.sortingErrors += result.anomalies.summary.criticalIssues;
+    data.browsers.add(result.browser);
+  });
+
+  Object.keys(listingPerformance).forEach((listingId) => {
+    const { accuracy, articleCounts, browsers, ...data } = listingPerformance[listingId];
+    const average = (values) =>
+      values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    listingPerformance[listingId] = {
+      ...data,
+      successfulRuns: accuracy.length,
+      avgAccuracy: average(accuracy).toFixed(2),
+      minAccuracy: accuracy.length > 0 ? Math.min(...accuracy) : 0,
+      maxAccuracy: accuracy.length > 0 ? Math.max(...accuracy) : 0,
+      avgArticles: Math.round(average(articleCounts)),
+      browsers: Array.from(browsers),
+    };
+  });
+
   // Calculate browser comparison metrics
   Object.keys(browserPerformance).forEach((browser) => {
     const data = browserPerformance[browser];
@@ -1239,9 +1773,36 @@ const aggregateResults = (testResults) => {
       ).toFixed(2),
       browserCount: data.browsers.size,
       browsers: Array.from(data.browsers),
+      deviceProfile: data.deviceProfile,
+      ignoredBy: data.ignoredBy,
     };
   });
 
+  const selectorHealth = mergeSelectorHealth(successfulResults);
+
+  // API ↔ UI comparison per run, one column per compared field
+  const apiConsistency = successfulResults
+    .filter((result) => result.apiConsistency)
+    .map((result) => ({
+      testId: result.testId,
+      browser: result.browser,
+      viewport: result.viewport,
+      listingPath: result.listing?.path || "newest",
+      fieldStats: result.apiConsistency.fieldStats || {},
+      missingArticles: (result.apiConsistency.missingArticles || []).length,
+      consistencyScore: result.apiConsistency.consistencyScore,
+      error: result.apiConsistency.error || null,
+      discrepancies: result.apiConsistency.discrepancies,
+    }));
+  const apiConsistencyFields = [
+    ...new Set(apiConsistency.flatMap((run) => Object.keys(run.fieldStats))),
+  ];
+  const apiDiscrepancySamples = apiConsistency
+    .flatMap(({ discrepancies, browser, listingPath }) =>
+      discrepancies.map((discrepancy) => ({ ...discrepancy, browser, listingPath }))
+    )
+    .slice(0, 20);
+
   return {
     ...primaryResult,
     qualityMetrics,
@@ -1255,8 +1816,15 @@ const aggregateResults = (testResults) => {
       ),
       testedBrowsers: [...new Set(successfulResults.map((r) => r.browser))],
       testedViewports: [...new Set(successfulResults.map((r) => r.viewport))],
+      testedListings: Object.keys(listingPerformance),
+      listingPerformance,
       browserPerformance,
       viewportPerformance,
+      selectorHealth,
+      selectorDriftWarnings: getSelectorDriftWarnings(selectorHealth),
+      apiConsistency: apiConsistency.map(({ discrepancies, ...run }) => run),
+      apiConsistencyFields,
+      apiDiscrepancySamples,
       crossBrowserCompatibility: {
         totalBrowsers: Object.keys(browserPerformance).length,
         totalViewports: Object.keys(viewportPerformance).length,
@@ -1270,7 +1838,12 @@ const aggregateResults = (testResults) => {
 };
 
 // Display final comprehensive summary
-const displayFinalSummary = (testResults, testStartTime) => {
+const displayFinalSummary = (
+  testResults,
+  testStartTime,
+  outputDir = "./reports",
+  matrixTiming = null
+) => {
   const totalTime = Date.now() - testStartTime;
   const successfulTests = testResults.filter((r) => !r.failed).length;
   const failedTests = testResults.length - successfulTests;
@@ -1283,6 +1856,16 @@ const displayFinalSummary = (testResults, testStartTime) => {
     )
   );
   console.log(chalk.white(`Test Scenarios: ${testResults.length}`));
+  if (matrixTiming) {
+    console.log(
+      chalk.white(
+        `Browser Matrix: ${(matrixTiming.wallClockMs / 1000).toFixed(1)}s wall-clock for ` +
+          `${matrixTiming.jobs} jobs at concurrency ${matrixTiming.concurrency} ` +
+          `(job times sum to ${(matrixTiming.summedJobMs / 1000).toFixed(1)}s, ` +
+          `an upper-bound estimate of a serial run)`
+      )
+    );
+  }
   console.log(chalk.green(`✅ Successful: ${successfulTests}`));
 
   if (failedTests > 0) {
@@ -1308,9 +1891,54 @@ const displayFinalSummary = (testResults, testStartTime) => {
     console.log(
       chalk.green(`  Browser: ${bestResult.browser} (${bestResult.viewport})`)
     );
+    if (bestResult.listing) {
+      console.log(chalk.green(`  Listing: /${bestResult.listing.path}`));
+    }
+  }
+
+  // Per-listing accuracy when more than one listing was validated
+  const listingIds = [...new Set(testResults.map((r) => r.listing?.id || "newest"))];
+  if (listingIds.length > 1) {
+    console.log(chalk.white(`\nBy Listing:`));
+    listingIds.forEach((listingId) => {
+      const runs = testResults.filter((r) => (r.listing?.id || "newest") === listingId);
+      const passed = runs.filter((r) => !r.failed);
+      const avgAccuracy =
+        passed.length > 0
+          ? (passed.reduce((sum, r) => sum + r.sortingAccuracy.accuracy, 0) / passed.length).toFixed(1)
+          : "N/A";
+      console.log(
+        chalk[passed.length === runs.length ? "green" : "yellow"](
+          `  /${runs[0].listing?.path || "newest"} (${runs[0].listing?.ordering || "time-descending"}): ` +
+            `${passed.length}/${runs.length} runs, avg accuracy ${avgAccuracy}%`
+        )
+      );
+    });
+  }
+
+  const apiRuns = testResults.filter((r) => !r.failed && r.apiConsistency);
+  if (apiRuns.length > 0) {
+    console.log(chalk.white(`\nAPI ↔ UI Consistency:`));
+    apiRuns.forEach((run) => {
+      const { consistencyScore, discrepancies, error } = run.apiConsistency;
+      console.log(
+        chalk[!error && consistencyScore >= 95 ? "green" : "yellow"](
+          `  ${run.browser} (${run.viewport}) /${run.listing?.path || "newest"}: ` +
+            (error ? `failed - ${error}` : `${consistencyScore.toFixed(1)}%, ${discrepancies.length} discrepancies`)
+        )
+      );
+    });
+  }
+
+  const driftWarnings = getSelectorDriftWarnings(
+    mergeSelectorHealth(testResults.filter((r) => !r.failed))
+  );
+  if (driftWarnings.length > 0) {
+    console.log(chalk.yellow(`\n⚠️  Selector Drift:`));
+    driftWarnings.forEach((warning) => console.log(chalk.yellow(`  ${warning}`)));
   }
 
-  console.log(chalk.cyan("\n📁 Reports generated in ./reports/ directory"));
+  console.log(chalk.cyan(`\n📁 Reports generated in ${outputDir} directory`));
   console.log(chalk.cyan.bold("✅ Playwright Testing Validation Complete!\n"));
 
   // Return overall test status
@@ -0,0 +1,145 @@
+// Schema Validator - Minimal JSON Schema subset with JSON-pointer error locations
+
+// Supported keywords: type, enum, minimum, maximum, minLength, pattern,
+// minItems, maxItems, uniqueItems, items, properties, required, additionalProperties
+
+// Escape a property name for use inside a JSON pointer (RFC 6901)
+const escapePointerToken = (token) =>
+  String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+
+const getType = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+// "integer" values also satisfy "number"
+const matchesType = (value, type) => {
+  const actual = getType(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+const describeValue = (value) => {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+};
+
+// Validate a value against a schema and return every violation found
+const validateSchema = (value, schema, pointer = "") => {
+  const errors = [];
+  const fail = (keyword, message) =>
+    errors.push({ pointer: pointer || "/", keyword, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(
+        "type",
+        `expected ${types.join(" or ")}, got ${getType(value)} (${describeValue(value)})`
+      );
+      return errors; // Further keywords are meaningless for the wrong type
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(
+      "enum",
+      `expected one of ${schema.enum.map(describeValue).join(", ")}, got ${describeValue(value)}`
+    );
+  }
+
+  if (typeof value === "number") {
+    const hasMin = schema.minimum !== undefined;
+    const hasMax = schema.maximum !== undefined;
+    if ((hasMin && value < schema.minimum) || (hasMax && value > schema.maximum)) {
+      const range =
+        hasMin && hasMax
+          ? `between ${schema.minimum} and ${schema.maximum}`
+          : hasMin
+          ? `>= ${schema.minimum}`
+          : `<= ${schema.maximum}`;
+      fail(hasMin && value < schema.minimum ? "minimum" : "maximum", `must be ${range}, got ${value}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail("minLength", `must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail("pattern", `must match ${schema.pattern}, got ${describeValue(value)}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail("minItems", `must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail("maxItems", `must contain at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set(value.map((item) => JSON.stringify(item)));
+      if (seen.size !== value.length) {
+        fail("uniqueItems", "must not contain duplicate items");
+      }
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${pointer}/${index}`));
+      });
+    }
+  }
+
+  if (getType(value) === "object") {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) {
+        errors.push({
+          pointer: `${pointer}/${escapePointerToken(key)}`,
+          keyword: "required",
+          message: "is required",
+        });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertyPointer = `${pointer}/${escapePointerToken(key)}`;
+      if (properties[key]) {
+        errors.push(...validateSchema(propertyValue, properties[key], propertyPointer));
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          pointer: propertyPointer,
+          keyword: "additionalProperties",
+          message: "is not a recognised property",
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateSchema(propertyValue, schema.additionalProperties, propertyPointer)
+        );
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Turn "/viewports/0/width" into "viewports[0].width" for human-facing messages
+const pointerToPath = (pointer) =>
+  pointer
+    .split("/")
+    .slice(1)
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce(
+      (path, token) =>
+        /^\d+$/.test(token) ? `${path}[${token}]` : path ? `${path}.${token}` : token,
+      ""
+    ) || "(root)";
+
+module.exports = {
+  validateSchema,
+  pointerToPath,
+  escapePointerToken,
+  getType,
+};
@@ -0,0 +1,119 @@
+// Selector Health Monitoring - Tracks which fallback strategy each page lookup needed
+
+// Drift thresholds
+const SELECTOR_HEALTH_CONFIG = {
+  driftThreshold: 10, // % of lookups the primary selector may miss before it counts as drifting
+  minAttempts: 3, // Fewer lookups than this are too few to judge
+};
+
+// Status of one lookup from its counts: broken (nothing matched), drift (fallbacks carry it) or ok
+const classifyLookup = ({ attempts, misses, primaryMisses }) => {
+  if (attempts < SELECTOR_HEALTH_CONFIG.minAttempts) return "insufficient-data";
+  if ((misses / attempts) * 100 > SELECTOR_HEALTH_CONFIG.driftThreshold) return "broken";
+  if ((primaryMisses / attempts) * 100 > SELECTOR_HEALTH_CONFIG.driftThreshold) return "drift";
+  return "ok";
+};
+
+// Report row for one lookup from its raw counts
+const summarizeLookup = (lookup, { strategies, hits, attempts, misses }) => {
+  const primaryMisses = attempts - (hits[0] || 0);
+  return {
+    lookup,
+    primarySelector: strategies[0],
+    attempts,
+    misses,
+    fallbackHits: hits.slice(1).reduce((sum, count) => sum + count, 0),
+    primaryMissRate: parseFloat(((primaryMisses / attempts) * 100).toFixed(1)),
+    strategyHits: strategies.map((selector, index) => ({
+      index,
+      selector,
+      hits: hits[index] || 0,
+    })),
+    status: classifyLookup({ attempts, misses, primaryMisses }),
+  };
+};
+
+class SelectorHealthMonitor {
+  constructor() {
+    this.lookups = {};
+  }
+
+  // Record one lookup: `index` is the strategy that matched, or -1 when none did
+  record(lookup, strategies, index) {
+    if (!this.lookups[lookup]) {
+      this.lookups[lookup] = {
+        strategies: strategies.map(String),
+        hits: strategies.map(() => 0),
+        attempts: 0,
+        misses: 0,
+      };
+    }
+
+    const entry = this.lookups[lookup];
+    entry.attempts++;
+    if (index < 0) {
+      entry.misses++;
+    } else {
+      entry.hits[index] = (entry.hits[index] || 0) + 1;
+    }
+  }
+
+  // Per-lookup strategy hit counts, primary miss rate and drift status
+  getReport() {
+    return Object.entries(this.lookups).map(([lookup, entry]) =>
+      summarizeLookup(lookup, entry)
+    );
+  }
+}
+
+// Human-readable warnings for lookups whose primary selector stopped matching (merged rows name their browser)
+const getSelectorDriftWarnings = (report) =>
+  report
+    .filter((entry) => entry.status === "drift" || entry.status === "broken")
+    .map((entry) =>
+      (entry.browser ? `[${entry.browser}] ` : "") +
+      (entry.status === "broken"
+        ? `Selector drift: no strategy matched "${entry.lookup}" in ${entry.misses}/${entry.attempts} lookups - HN markup may have changed`
+        : `Selector drift: primary selector "${entry.primarySelector}" for "${entry.lookup}" missed ${entry.primaryMissRate}% of lookups (fallbacks matched ${entry.fallbackHits})`)
+    );
+
+// Combine per-run reports into one row per browser and lookup for the dashboards
+const mergeSelectorHealth = (testResults) => {
+  const merged = new Map();
+
+  testResults
+    .filter((result) => Array.isArray(result.selectorHealth))
+    .forEach((result) => {
+      result.selectorHealth.forEach((entry) => {
+        const key = `${result.browser}:${entry.lookup}`;
+        if (!merged.has(key)) {
+          merged.set(key, {
+            browser: result.browser,
+            lookup: entry.lookup,
+            strategies: entry.strategyHits.map((strategy) => strategy.selector),
+            hits: entry.strategyHits.map(() => 0),
+            attempts: 0,
+            misses: 0,
+          });
+        }
+        const totals = merged.get(key);
+        entry.strategyHits.forEach((strategy) => {
+          totals.hits[strategy.index] = (totals.hits[strategy.index] || 0) + strategy.hits;
+        });
+        totals.attempts += entry.attempts;
+        totals.misses += entry.misses;
+      });
+    });
+
+  return [...merged.values()].map((totals) => ({
+    browser: totals.browser,
+    ...summarizeLookup(totals.lookup, totals),
+  }));
+};
+
+module.exports = {
+  SelectorHealthMonitor,
+  getSelectorDriftWarnings,
+  mergeSelectorHealth,
+  SELECTOR_HEALTH_CONFIG,
+};
@@ -1,17 +1,26 @@
 // Test Orchestrator - Manages comprehensive test execution across browsers and test types
 
+const path = require("path");
 const chalk = require("chalk");
 const moment = require("moment");
-const { getAvailableBrowsers } = require("./browserUtils");
+const { getAvailableBrowsers, launchBrowser } = require("./browserUtils");
+const { resolveListing, summarizeListing } = require("./listings");
+const {
+  runWithConcurrency,
+  withBufferedOutput,
+  flushBufferedOutput,
+} = require("./testUtils");
 const {
   displayTestSummary,
   generateAllReports,
+  generateJSONReport,
   displayFinalSummary,
 } = require("./reportGenerator");
 const runEdgeCaseTests = require("./edgeCaseTests");
 const HNApiTester = require("../tests/api/hnApiTests");
 const SecurityTester = require("../tests/security/securityTests");
 const QualityMetricsTracker = require("./qualityMetrics");
+const { createAuthSession, resolveCredentials } = require("./authSession");
 
 class TestOrchestrator {
   constructor(config) {
@@ -19,6 +28,14 @@ class TestOrchestrator {
     this.testResults = [];
     this.testStartTime = null;
     this.qualityMetricsTracker = null;
+    this.matrixTiming = null;
+    this.outputDir = config.output?.dir || "./reports";
+    this.apiTester = null;
+  }
+
+  // Suites default to all when the config does not narrow them
+  isSuiteEnabled(suite) {
+    return !this.config.suites || this.config.suites.includes(suite);
   }
 
   async runComprehensiveValidation(runSingleTestFn) {
@@ -28,48 +45,92 @@ class TestOrchestrator {
     console.log(
       chalk.yellow(`Started: ${moment().format("YYYY-MM-DD HH:mm:ss")}`)
     );
-    console.log(
-      chalk.yellow(
-        `Target: Validate ${this.config.targetArticleCount} articles sorting\n`
-      )
-    );
+    // Article count and listings only apply to the UI suite
+    if (this.isSuiteEnabled("ui")) {
+      console.log(
+        chalk.yellow(
+          `Target: Validate ${this.config.targetArticleCount} articles sorting`
+        )
+      );
+      console.log(
+        chalk.yellow(`Listings: ${(this.config.listings || ["newest"]).join(", ")}`)
+      );
+    }
+    if (this.config.suites) {
+      console.log(chalk.yellow(`Suites: ${this.config.suites.join(", ")}\n`));
+    }
 
     try {
       // Initialize quality metrics tracker
-      this.qualityMetricsTracker = new QualityMetricsTracker();
+      this.qualityMetricsTracker = new QualityMetricsTracker({
+        ...this.config.metrics,
+        historyFile: path.join(this.outputDir, "quality-metrics-history.json"),
+      });
       await this.qualityMetricsTracker.initialize();
 
-      // Check available browsers and filter configured list
-      console.log(chalk.blue.bold("🔍 Checking browser availability..."));
-      const availableBrowsers = await getAvailableBrowsers(
-        this.config.browsers
-      );
-
-      if (availableBrowsers.length < this.config.browsers.length) {
-        console.log(
-          chalk.yellow(
-            `⚠️ Only ${availableBrowsers.length} of ${this.config.browsers.length} configured browsers are available`
-          )
+      if (this.isSuiteEnabled("ui")) {
+        // Check available browsers and filter configured list
+        console.log(chalk.blue.bold("🔍 Checking browser availability..."));
+        const availableBrowsers = await getAvailableBrowsers(
+          this.config.browsers
         );
-      }
 
-      // Run tests across available browsers and viewports
-      await this.runBrowserTests(availableBrowsers, runSingleTestFn);
+        if (availableBrowsers.length < this.config.browsers.length) {
+          console.log(
+            chalk.yellow(
+              `⚠️ Only ${availableBrowsers.length} of ${this.config.browsers.length} configured browsers are available`
+            )
+          );
+        }
+
+        // Log in once; every browser context of the matrix starts from the saved session
+        if (this.config.auth?.loggedIn && availableBrowsers.length > 0) {
+          this.config.auth.session = await createAuthSession(availableBrowsers[0], this.config);
+        }
+
+        // Run tests across available browsers and viewports
+        await this.runBrowserTests(availableBrowsers, runSingleTestFn);
+      }
 
       // Run API tests
-      const apiTestResults = await this.runApiTests();
+      const apiTestResults = this.isSuiteEnabled("api")
+        ? await this.runApiTests()
+        : null;
+
+      // Cross-check what the UI suite read against the API
+      if (this.isSuiteEnabled("ui") && this.isSuiteEnabled("api")) {
+        await this.compareArticlesWithApi();
+        await this.compareUserProfilesWithApi();
+      }
 
       // Run security tests
-      const securityTestResults = await this.runSecurityTests();
+      const securityTestResults = this.isSuiteEnabled("security")
+        ? await this.runSecurityTests()
+        : null;
+
+      // Without UI results there is nothing to aggregate into the dashboard
+      if (!this.isSuiteEnabled("ui")) {
+        return await this.saveSuiteResults(apiTestResults, securityTestResults);
+      }
 
       // Process and integrate results
       await this.processTestResults(apiTestResults, securityTestResults);
 
       // Generate comprehensive reports
-      await generateAllReports(this.testResults);
+      await generateAllReports(
+        this.testResults,
+        this.outputDir,
+        this.config.metrics
+      );
 
       // Final summary
-      return displayFinalSummary(this.testResults, this.testStartTime);
+      const uiPassed = displayFinalSummary(
+        this.testResults,
+        this.testStartTime,
+        this.outputDir,
+        this.matrixTiming
+      );
+      return uiPassed && this.suitesPassed(apiTestResults, securityTestResults);
     } catch (error) {
       console.error(
         chalk.red.bold("\n❌ Test execution failed:"),
@@ -79,43 +140,213 @@ class TestOrchestrator {
     }
   }
 
+  // Run the browser × viewport matrix through a bounded worker pool.
+  // Each engine is launched once and every job gets its own context on it;
+  // job output is buffered and printed in matrix order as jobs complete.
+  // A job validates every configured listing and yields one result per listing.
   async runBrowserTests(availableBrowsers, runSingleTestFn) {
-    for (const browserName of availableBrowsers) {
-      console.log(
-        chalk.blue.bold(`\n📱 Testing with ${browserName.toUpperCase()}`)
-      );
+    const jobs = availableBrowsers.flatMap((browserName) =>
+      this.config.viewports.map((viewport) => ({ browserName, viewport }))
+    );
+    const concurrency = Math.min(this.config.concurrency || 1, jobs.length);
 
-      for (const viewport of this.config.viewports) {
+    console.log(
+      chalk.blue.bold(
+        `\n📱 Running ${jobs.length} browser/viewport combinations (concurrency: ${concurrency})`
+      )
+    );
+
+    const browsers = new Map();
+    const getBrowser = (browserName) => {
+      if (!browsers.has(browserName)) {
+        browsers.set(browserName, launchBrowser(browserName, this.config));
+      }
+      return browsers.get(browserName);
+    };
+
+    const finishedJobs = new Map();
+    let nextToPrint = 0;
+    const printFinishedJobs = () => {
+      while (finishedJobs.has(nextToPrint)) {
+        const { job, output, result } = finishedJobs.get(nextToPrint);
+        const { browserName, viewport } = job;
         console.log(
           chalk.blue(
-            `  Testing ${viewport.name} viewport (${viewport.width}x${viewport.height})`
+            `\n  ${browserName.toUpperCase()} · ${viewport.name} viewport (${viewport.width}x${viewport.height})`
           )
         );
+        flushBufferedOutput(output);
+        result.forEach((listingResult) => {
+          if (result.length > 1) {
+            console.log(chalk.gray(`    /${listingResult.listing?.path || "newest"}`));
+          }
+          displayTestSummary(listingResult);
+        });
+        finishedJobs.delete(nextToPrint);
+        nextToPrint++;
+      }
+    };
 
-        const result = await runSingleTestFn(browserName, viewport);
-        this.testResults.push(result);
+    const matrixStart = Date.now();
+    try {
+      const results = await runWithConcurrency(
+        jobs,
+        concurrency,
+        async (job, index) => {
+          const jobStart = Date.now();
+          const { result, error, output } = await withBufferedOutput(
+            async () => {
+              const browser = await getBrowser(job.browserName);
+              return runSingleTestFn(job.browserName, job.viewport, browser);
+            }
+          );
 
-        // Show immediate results
-        displayTestSummary(result);
-      }
+          // A job that could not even start is recorded as failed for each of its listings
+          // so the rest of the matrix still runs
+          const jobResult = error
+            ? (this.config.listings || ["newest"]).map((spec) => {
+                const listing = summarizeListing(resolveListing(spec));
+                return {
+                  testId: `${job.browserName}_${job.viewport.name}_${listing.id}`,
+                  browser: job.browserName,
+                  viewport: job.viewport.name,
+                  listing,
+                  timestamp: new Date().toISOString(),
+                  error: { message: error.message, stack: error.stack },
+                  executionTime: Date.now() - jobStart,
+                  failed: true,
+                  articles: [],
+                  summary: {
+                    testStatus: "FAIL",
+                    totalArticles: 0,
+                    criticalIssues: 1,
+                  },
+                };
+              })
+            : [].concat(result);
+
+          finishedJobs.set(index, { job, output, result: jobResult });
+          printFinishedJobs();
+          return jobResult;
+        }
+      );
+
+      this.testResults.push(...results.flat());
+    } finally {
+      await Promise.all(
+        [...browsers.values()].map((launch) =>
+          launch.then((browser) => browser.close()).catch(() => {})
+        )
+      );
     }
+
+    // Job times are measured while jobs compete for CPU and network, so with concurrency > 1 their
+    // sum overstates a serial run; it is reported as an upper-bound estimate, not as time saved
+    const wallClockMs = Date.now() - matrixStart;
+    const summedJobMs = this.testResults.reduce(
+      (total, result) => total + (result.executionTime || 0),
+      0
+    );
+    this.matrixTiming = {
+      jobs: jobs.length,
+      concurrency,
+      wallClockMs,
+      summedJobMs,
+    };
+  }
+
+  // One tester per run, so the API suite and the UI comparisons share its item cache
+  getApiTester() {
+    if (!this.apiTester) {
+      this.apiTester = new HNApiTester(this.config.api, this.config.target, {
+        contractSnapshotFile: path.join(this.outputDir, "api-contract-snapshot.json"),
+      });
+    }
+    return this.apiTester;
   }
 
   async runApiTests() {
     console.log(chalk.magenta.bold("\n🔗 Running API Validation Tests..."));
     try {
-      const apiTester = new HNApiTester();
-      return await apiTester.runAllTests();
+      return await this.getApiTester().runAllTests();
     } catch (error) {
       console.log(chalk.yellow(`⚠️ API tests failed: ${error.message}`));
       return null;
     }
   }
 
+  // Compare every successful result's articles with their API items
+  async compareArticlesWithApi() {
+    const results = this.testResults.filter(
+      (result) => !result.failed && result.articles?.length > 0
+    );
+    if (results.length === 0) return;
+
+    console.log(chalk.magenta.bold("\n🔗 Comparing UI articles with the API..."));
+    const apiTester = this.getApiTester();
+    for (const result of results) {
+      console.log(
+        chalk.gray(`  ${result.browser} · ${result.viewport} · /${result.listing?.path || "newest"}`)
+      );
+      try {
+        result.apiConsistency = await apiTester.validateAgainstUIData(
+          result.articles,
+          result.listing
+        );
+      } catch (error) {
+        console.log(
+          chalk.yellow(`⚠️ API comparison failed for ${result.testId}: ${error.message}`)
+        );
+      }
+    }
+  }
+
+  // Each author is compared once; every result gets the discrepancies for its own authors
+  async compareUserProfilesWithApi() {
+    const profilesById = new Map();
+    this.testResults
+      .filter((result) => !result.failed)
+      .flatMap((result) => result.users?.profiles || [])
+      .forEach((profile) => {
+        if (!profilesById.has(profile.userId)) {
+          profilesById.set(profile.userId, profile);
+        }
+      });
+    if (profilesById.size === 0) return;
+
+    try {
+      const comparison = await this.getApiTester().validateUserProfiles([
+        ...profilesById.values(),
+      ]);
+
+      this.testResults
+        .filter((result) => result.users?.profiles)
+        .forEach((result) => {
+          const userIds = new Set(
+            result.users.profiles.map((profile) => profile.userId)
+          );
+          result.users.apiComparison = {
+            ...comparison,
+            discrepancies: comparison.discrepancies.filter((discrepancy) =>
+              userIds.has(discrepancy.userId)
+            ),
+          };
+        });
+    } catch (error) {
+      console.log(
+        chalk.yellow(`⚠️ Author profile API comparison failed: ${error.message}`)
+      );
+    }
+  }
+
   async runSecurityTests() {
     console.log(chalk.red.bold("\n🔒 Running Security Tests..."));
     try {
-      const securityTester = new SecurityTester();
+      const securityTester = new SecurityTester(this.config.security, this.config.target, {
+        browsers: this.config.browsers,
+        launchConfig: this.config,
+        credentials: resolveCredentials(this.config),
+      });
       return await securityTester.runSecurityTests();
     } catch (error) {
       console.log(chalk.yellow(`⚠️ Security tests failed: ${error.message}`));
@@ -150,7 +381,7 @@ class TestOrchestrator {
     } else if (apiTestResults) {
       bestResult.api = apiTestResults;
       console.log(chalk.yellow("⚠️ API test results have incomplete data"));
-    } else {
+    } else if (this.isSuiteEnabled("api")) {
       console.log(
         chalk.yellow("⚠️ API tests failed - proceeding without API metrics")
       );
@@ -173,7 +404,7 @@ class TestOrchestrator {
           "⚠️ Security test results have incomplete data - using available data"
         )
       );
-    } else {
+    } else if (this.isSuiteEnabled("security")) {
       console.log(
         chalk.yellow(
           "⚠️ Security tests failed - proceeding without security metrics"
@@ -195,6 +426,40 @@ class TestOrchestrator {
     }
   }
 
+  // Write API/security results on their own when the UI suite was not selected
+  async saveSuiteResults(apiTestResults, securityTestResults) {
+    const suiteResults = {};
+    if (apiTestResults) suiteResults.api = apiTestResults;
+    if (securityTestResults) suiteResults.security = securityTestResults;
+
+    if (Object.keys(suiteResults).length > 0) {
+      const jsonPath = await generateJSONReport(
+        suiteResults,
+        path.join(this.outputDir, "suite-results.json")
+      );
+      console.log(chalk.green(`✅ JSON Report: ${jsonPath}`));
+    }
+
+    console.log(
+      chalk.cyan(
+        `\n⏱️ Completed in ${((Date.now() - this.testStartTime) / 1000).toFixed(1)}s`
+      )
+    );
+
+    return this.suitesPassed(apiTestResults, securityTestResults);
+  }
+
+  // Whether the selected API and security suites passed; a suite that errored has no results
+  suitesPassed(apiTestResults, securityTestResults) {
+    const apiPassed =
+      !this.isSuiteEnabled("api") ||
+      apiTestResults?.summary?.overallStatus === "PASS";
+    const securityPassed =
+      !this.isSuiteEnabled("security") ||
+      Boolean(securityTestResults?.summary && securityTestResults.summary.status !== "FAIL");
+    return apiPassed && securityPassed;
+  }
+
   async runEdgeCaseTests() {
     return await runEdgeCaseTests(this.config);
   }
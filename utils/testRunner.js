@@ -1,16 +1,29 @@
 // Test Runner - Handles individual test execution with comprehensive monitoring
 
+const path = require("path");
 const chalk = require("chalk");
 const HackerNewsPage = require("../pages/HackerNewsPage");
+const ItemPage = require("../pages/ItemPage");
+const UserPage = require("../pages/UserPage");
 const { 
   calculateSortingAccuracy,
   analyzeTimestampDistribution,
   detectSortingAnomalies,
   validateArticleData,
+  validateCommentThread,
+  summarizeCommentValidation,
+  validateUserProfile,
+  summarizeUserValidation,
   generateSummaryReport,
 } = require("./validationUtils");
 const { retry, withTimeout, logTestStep } = require("./testUtils");
-const { launchBrowser, getUserAgent } = require("./browserUtils");
+const {
+  launchBrowser,
+  getContextOptions,
+  DEVICE_PROFILE_ATTRIBUTES,
+} = require("./browserUtils");
+const { getSelectorDriftWarnings } = require("./selectorHealth");
+const { resolveListing, summarizeListing } = require("./listings");
 
 class TestRunner {
   constructor(config) {
@@ -26,12 +39,24 @@ class TestRunner {
     return filename.replace(/[^a-zA-Z0-9-_]/g, '_');
   }
 
-  async runSingleTest(browserName, viewport) {
-    const testId = `${browserName}_${viewport.name}`;
+  // Validate each configured listing in turn on one browser/viewport; one result per listing
+  async runListingTests(browserName, viewport, sharedBrowser = null) {
+    const results = [];
+    for (const spec of this.config.listings || ["newest"]) {
+      const listing = resolveListing(spec);
+      logTestStep(`Listing: /${listing.path} (${listing.ordering})`);
+      results.push(await this.runSingleTest(browserName, viewport, sharedBrowser, listing));
+    }
+    return results;
+  }
+
+  // Pass a shared browser to run in an isolated context on it instead of launching a new one
+  async runSingleTest(browserName, viewport, sharedBrowser = null, listing = resolveListing("newest")) {
+    const testId = `${browserName}_${viewport.name}_${listing.id}`;
     const startTime = Date.now();
 
     return await retry(async () => {
-      const testContext = await this.setupTestContext(browserName, viewport, testId);
+      const testContext = await this.setupTestContext(browserName, viewport, testId, sharedBrowser, listing);
       
       try {
         const testResults = await this.executeTestSteps(testContext, startTime, browserName, viewport);
@@ -45,12 +70,34 @@ class TestRunner {
   }
 
   // Set up browser context and monitoring
-  async setupTestContext(browserName, viewport, testId) {
-    const browser = await launchBrowser(browserName, this.config);
-    const context = await browser.newContext({
-      viewport: { width: viewport.width, height: viewport.height },
-      userAgent: getUserAgent(viewport.name, browserName),
-    });
+  async setupTestContext(browserName, viewport, testId, sharedBrowser = null, listing = resolveListing("newest")) {
+    // Fall back to a private browser if the shared one has crashed
+    const ownsBrowser = !sharedBrowser?.isConnected();
+    const browser = ownsBrowser
+      ? await launchBrowser(browserName, this.config)
+      : sharedBrowser;
+    const { options: contextOptions, ignored } = getContextOptions(viewport, browserName);
+    // Logged-in runs start every context from the session saved by createAuthSession
+    const storageState = this.config.auth?.session?.storageStatePath;
+    const context = await browser.newContext(
+      storageState ? { ...contextOptions, storageState } : contextOptions
+    );
+    if (ignored.length > 0) {
+      logTestStep(`${browserName} does not support ${ignored.join(", ")} - emulated without it`, "warning");
+    }
+
+    // Record the requested profile plus anything this engine could not apply, for the reports
+    const deviceProfile = {
+      device: viewport.device || null,
+      width: viewport.width,
+      height: viewport.height,
+      userAgent: contextOptions.userAgent,
+      ...Object.fromEntries(
+        DEVICE_PROFILE_ATTRIBUTES.filter((attribute) => viewport[attribute] !== undefined)
+          .map((attribute) => [attribute, viewport[attribute]])
+      ),
+      ignored,
+    };
 
     const page = await context.newPage();
     const requestLog = [];
@@ -76,11 +123,16 @@ class TestRunner {
       }
     });
 
-    const hnPage = new HackerNewsPage(page, browserName);
+    const hnPage = new HackerNewsPage(page, browserName, {
+      baseUrl: this.config.target?.baseUrl,
+      listing,
+    });
 
     return {
       browser,
+      ownsBrowser,
       context,
+      deviceProfile,
       page,
       hnPage,
       requestLog,
@@ -90,12 +142,13 @@ class TestRunner {
 
   // Execute the main test steps
   async executeTestSteps(testContext, startTime, browserName, viewport) {
-    const { page, hnPage, requestLog, failedRequests } = testContext;
+    const { page, hnPage, requestLog, failedRequests, deviceProfile } = testContext;
+    const { listing } = hnPage;
 
     // Navigate and measure performance
-    logTestStep("Navigating to Hacker News...");
+    logTestStep(`Navigating to Hacker News /${listing.path}...`);
     const loadTime = await withTimeout(
-      () => hnPage.navigateToNewest(),
+      () => hnPage.navigateToListing(),
       this.config.timeouts.navigation,
       "Navigation timeout"
     );
@@ -108,19 +161,20 @@ class TestRunner {
       "Article extraction timeout"
     );
 
-    // Perform validation analysis
-    logTestStep("Performing validation analysis...");
+    // Perform validation analysis against the listing's ordering rule
+    logTestStep(`Performing validation analysis (${listing.ordering})...`);
     const [sortingAccuracy, timestampAnalysis, anomalies, dataValidation] =
       await Promise.all([
-        Promise.resolve(calculateSortingAccuracy(articles)),
+        Promise.resolve(calculateSortingAccuracy(articles, listing)),
         Promise.resolve(analyzeTimestampDistribution(articles)),
-        Promise.resolve(detectSortingAnomalies(articles)),
+        Promise.resolve(detectSortingAnomalies(articles, listing)),
         Promise.resolve(validateArticleData(articles)),
       ]);
 
     // Collect performance metrics
     const performanceMetrics = await hnPage.getPerformanceMetrics();
     performanceMetrics.loadTime = loadTime;
+    performanceMetrics.extraction = this.summarizeExtraction(hnPage.extractionTimings);
 
     // Optional accessibility check
     let accessibilityResults = null;
@@ -133,6 +187,21 @@ class TestRunner {
       );
     }
 
+    // Logged-in runs: the listing must show the user menu and vote arrows carrying the auth token
+    const sessionValidation = this.config.auth?.session
+      ? await this.validateSession(hnPage, this.config.auth.session.username)
+      : null;
+
+    // Discussion pages last: they navigate away from the listing the checks above read
+    const commentValidation = await this.validateCommentThreads(page, browserName, hnPage, articles);
+    const userValidation = await this.validateAuthorProfiles(page, browserName, hnPage, articles);
+
+    // Flag primary selectors that stopped matching before the fallbacks also break
+    const selectorHealth = hnPage.selectorHealth.getReport();
+    getSelectorDriftWarnings(selectorHealth).forEach((warning) =>
+      logTestStep(`Warning: ${warning}`, "warning")
+    );
+
     // Run custom assertions
     await this.runCustomAssertions(
       articles,
@@ -143,9 +212,12 @@ class TestRunner {
 
     // Build and return test results
     return this.buildTestResults({
-      testId: `${browserName}_${viewport.name}`,
+      testId: `${browserName}_${viewport.name}_${listing.id}`,
       browserName,
       viewport,
+      listing,
+      deviceProfile,
+      targetUrl: hnPage.url,
       startTime,
       articles,
       sortingAccuracy,
@@ -154,17 +226,150 @@ class TestRunner {
       dataValidation,
       performanceMetrics,
       accessibilityResults,
+      sessionValidation,
+      commentValidation,
+      userValidation,
+      selectorHealth,
       requestLog,
       failedRequests,
     });
   }
 
+  // Compare the listing's logged-in markup with the account the session belongs to
+  async validateSession(hnPage, username) {
+    logTestStep(`Validating logged-in view as ${username}...`);
+    const state = await hnPage.getSessionState();
+    const issues = [];
+
+    if (state.username !== username) {
+      issues.push(`User menu shows ${state.username || "no user"} instead of ${username}`);
+    }
+    if (!state.hasLogout) {
+      issues.push("User menu has no logout link");
+    }
+    if (state.voteArrows === 0) {
+      issues.push("Listing has no vote arrows");
+    } else if (state.voteArrowsWithAuth < state.voteArrows) {
+      issues.push(
+        `${state.voteArrows - state.voteArrowsWithAuth} of ${state.voteArrows} vote arrows have no auth token`
+      );
+    }
+
+    issues.forEach((issue) => logTestStep(`Warning: ${issue}`, "warning"));
+    if (issues.length === 0) {
+      logTestStep(`Logged in as ${username}, ${state.voteArrows} vote arrows ready`, "success");
+    }
+    return { expectedUser: username, ...state, issues, valid: issues.length === 0 };
+  }
+
+  // Follow the first few distinct authors to their profile and submissions pages
+  async validateAuthorProfiles(page, browserName, hnPage, articles) {
+    const sampleSize = this.config.users?.sampleSize ?? 3;
+    const authors = [...new Set(articles.map((article) => article.author).filter(Boolean))]
+      .slice(0, sampleSize);
+    if (authors.length === 0) return null;
+
+    logTestStep(`Validating ${authors.length} author profiles...`);
+    const userPage = new UserPage(page, browserName, {
+      baseUrl: this.config.target?.baseUrl,
+    });
+    userPage.selectorHealth = hnPage.selectorHealth;
+
+    const profiles = [];
+    for (const author of authors) {
+      const seenArticles = articles.filter((article) => article.author === author);
+      try {
+        const user = await withTimeout(
+          () => userPage.getUser(author, this.config.users?.submittedPages ?? 2),
+          this.config.timeouts.navigation,
+          `Profile ${author} timeout`
+        );
+        profiles.push(validateUserProfile(user, seenArticles));
+      } catch (error) {
+        logTestStep(`Warning: Profile ${author} skipped - ${error.message}`, "warning");
+        profiles.push({
+          userId: author,
+          seenArticleIds: seenArticles.map((article) => article.id),
+          issues: [],
+          valid: false,
+          error: error.message,
+        });
+      }
+    }
+
+    const summary = summarizeUserValidation(profiles);
+    logTestStep(
+      `Author profiles: ${summary.validUsers}/${summary.usersChecked} consistent with their submissions`,
+      summary.validUsers === summary.usersChecked ? "success" : "warning"
+    );
+    return { profiles, summary };
+  }
+
+  // Open the discussions of the first few articles with comments and validate each tree.
+  // A thread that fails to load is recorded and the rest still run.
+  async validateCommentThreads(page, browserName, hnPage, articles) {
+    const sampleSize = this.config.comments?.sampleSize ?? 3;
+    const sample = articles.filter((article) => article.commentCount > 0).slice(0, sampleSize);
+    if (sample.length === 0) return null;
+
+    logTestStep(`Validating ${sample.length} comment threads...`);
+    const itemPage = new ItemPage(page, browserName, {
+      baseUrl: this.config.target?.baseUrl,
+    });
+    // Share the listing's monitor so comment selectors show up in the same drift report
+    itemPage.selectorHealth = hnPage.selectorHealth;
+
+    const threads = [];
+    for (const article of sample) {
+      try {
+        const thread = await withTimeout(
+          () => itemPage.getThread(article.id),
+          this.config.timeouts.navigation,
+          `Comment thread ${article.id} timeout`
+        );
+        threads.push(validateCommentThread(thread, article.commentCount));
+      } catch (error) {
+        logTestStep(`Warning: Comment thread ${article.id} skipped - ${error.message}`, "warning");
+        threads.push({
+          itemId: article.id,
+          title: article.title,
+          listingCommentCount: article.commentCount,
+          issues: [],
+          valid: false,
+          error: error.message,
+        });
+      }
+    }
+
+    const summary = summarizeCommentValidation(threads);
+    logTestStep(
+      `Comment threads: ${summary.validThreads}/${summary.threadsChecked} consistent, ` +
+        `${summary.totalComments} comments, max depth ${summary.maxDepth}`,
+      summary.validThreads === summary.threadsChecked ? "success" : "warning"
+    );
+    return { threads, summary };
+  }
+
+  // Per-page extraction timings plus totals for the reports
+  summarizeExtraction(pages) {
+    const totalMs = pages.reduce((sum, page) => sum + page.durationMs, 0);
+    return {
+      pages,
+      totalMs,
+      avgPerPageMs: pages.length > 0 ? Math.round(totalMs / pages.length) : 0,
+      fallbackRows: pages.reduce((sum, page) => sum + page.fallbackRows, 0),
+    };
+  }
+
   // Build the final test results object
   buildTestResults(params) {
     const {
       testId,
       browserName,
       viewport,
+      listing,
+      deviceProfile,
+      targetUrl,
       startTime,
       articles,
       sortingAccuracy,
@@ -173,6 +378,10 @@ class TestRunner {
       dataValidation,
       performanceMetrics,
       accessibilityResults,
+      sessionValidation,
+      commentValidation,
+      userValidation,
+      selectorHealth,
       requestLog,
       failedRequests,
     } = params;
@@ -180,9 +389,12 @@ class TestRunner {
     const executionTime = Date.now() - startTime;
 
     return {
-      testId: `${browserName}_${viewport.name}`,
+      testId,
       browser: browserName,
       viewport: viewport.name,
+      listing: summarizeListing(listing),
+      deviceProfile,
+      targetUrl,
       timestamp: new Date().toISOString(),
       executionTime,
       articles,
@@ -192,14 +404,23 @@ class TestRunner {
       dataValidation,
       performance: performanceMetrics,
       accessibility: accessibilityResults,
-      summary: generateSummaryReport({
-        articles,
-        sortingAccuracy,
-        timestampAnalysis,
-        anomalies,
-        dataValidation,
-        performance: performanceMetrics,
-      }),
+      session: sessionValidation,
+      comments: commentValidation,
+      users: userValidation,
+      selectorHealth,
+      summary: generateSummaryReport(
+        {
+          articles,
+          sortingAccuracy,
+          timestampAnalysis,
+          anomalies,
+          dataValidation,
+          performance: performanceMetrics,
+          comments: commentValidation,
+          users: userValidation,
+        },
+        this.config.thresholds
+      ),
       requestLog,
       failedRequests,
     };
@@ -207,12 +428,14 @@ class TestRunner {
 
   // Handle test errors with proper context and debugging
   async handleTestError(error, testContext, testId, browserName, viewport, startTime) {
-    const { page } = testContext;
+    const { page, hnPage, deviceProfile } = testContext;
     
     const errorContext = {
       testId,
       browser: browserName,
       viewport: viewport.name,
+      listing: summarizeListing(hnPage.listing),
+      deviceProfile,
       timestamp: new Date().toISOString(),
       error: {
         message: error.message,
@@ -228,7 +451,7 @@ class TestRunner {
         const sanitizedTestId = this.sanitizeFilename(testId);
         const screenshotFilename = `error-${sanitizedTestId}-${Date.now()}.png`;
         await page.screenshot({
-          path: `./reports/${screenshotFilename}`,
+          path: path.join(this.config.output?.dir || "./reports", screenshotFilename),
           fullPage: true,
         });
         logTestStep(
@@ -250,10 +473,12 @@ class TestRunner {
     };
   }
 
-  // Clean up browser resources
+  // Clean up browser resources - shared browsers are closed by their owner
   async cleanupTestContext(testContext) {
-    if (testContext.browser) {
-      await testContext.browser.close();
+    if (testContext.ownsBrowser) {
+      await testContext.browser?.close();
+    } else {
+      await testContext.context?.close().catch(() => {});
     }
   }
 
@@ -1,4 +1,5 @@
 const chalk = require('chalk');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // Default configuration for test utilities
 const DEFAULT_CONFIG = {
@@ -37,8 +38,86 @@ const logTestStep = (message, type = 'info') => {
   console.log(chalk[colors[type] || 'gray'](`    ${message}`));
 };
 
+// Run async functions over items with at most `limit` in flight; results keep input order
+const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+};
+
+// Count, min, max, average and nearest-rank percentiles (e.g. p50, p95) of a list of durations
+const summarizeDurations = (values, percentiles = [50, 95]) => {
+  const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+  if (sorted.length === 0) return { count: 0 };
+
+  const summary = {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    average: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length)
+  };
+  percentiles.forEach(percentile => {
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    summary[`p${percentile}`] = sorted[Math.max(0, rank - 1)];
+  });
+  return summary;
+};
+
+// Console output captured per async job so parallel runs don't interleave their logs
+const outputBuffers = new AsyncLocalStorage();
+const BUFFERED_METHODS = ['log', 'info', 'warn', 'error'];
+let consoleRouted = false;
+
+// Route console calls made inside withBufferedOutput into that job's buffer (installed once)
+const routeConsoleToBuffers = () => {
+  if (consoleRouted) return;
+  consoleRouted = true;
+
+  BUFFERED_METHODS.forEach(method => {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const buffer = outputBuffers.getStore();
+      if (buffer) {
+        buffer.push({ method, args });
+      } else {
+        original(...args);
+      }
+    };
+  });
+};
+
+// Run fn with its console output buffered; returns { result, error, output }
+const withBufferedOutput = async (fn) => {
+  routeConsoleToBuffers();
+  const output = [];
+  try {
+    const result = await outputBuffers.run(output, fn);
+    return { result, error: null, output };
+  } catch (error) {
+    return { result: null, error, output };
+  }
+};
+
+// Replay buffered console output in the order it was written
+const flushBufferedOutput = (output) => {
+  output.forEach(({ method, args }) => console[method](...args));
+};
+
 module.exports = {
   retry,
   withTimeout,
-  logTestStep
+  logTestStep,
+  runWithConcurrency,
+  summarizeDurations,
+  withBufferedOutput,
+  flushBufferedOutput
 };
\ No newline at end of file
@@ -1,19 +1,91 @@
 const moment = require('moment');
 const chalk = require('chalk');
 
-// Calculate sorting accuracy with detailed statistics
-const calculateSortingAccuracy = (articles) => {
+// Compare two consecutive articles ("newest first"): 'correct', 'tie' or 'incorrect'.
+// `timestampPrecision` (ms) means the article was posted within [timestamp - precision, timestamp],
+// so an out-of-order pair whose windows overlap can't be ordered and counts as a tie.
+const comparePublicationOrder = (current, next) => {
+    const difference = new Date(current.timestamp) - new Date(next.timestamp);
+    if (difference >= 0) return 'correct';
+    return -difference <= (next.timestampPrecision || 0) ? 'tie' : 'incorrect';
+};
+
+// Listings without a declared rule (and the original suite) are validated newest-first
+const NEWEST_FIRST = { ordering: 'time-descending', day: null };
+
+// HN ranks by points decayed with age: (points - 1) / (ageHours + 2)^1.8
+const RANKING_GRAVITY = 1.8;
+
+// Penalties, flags and vote timing move items off the pure formula, so a pair only counts as
+// out of order when the lower item beats the higher one by more than this fraction
+const RANKING_TOLERANCE = 0.25;
+
+const getRankingScore = (article, now = Date.now()) => {
+    const ageHours = Math.max(0, (now - new Date(article.timestamp)) / (60 * 60 * 1000));
+    return Math.max(0, (article.score || 0) - 1) / Math.pow(ageHours + 2, RANKING_GRAVITY);
+};
+
+// Higher value first, with the ranking tolerance turning near misses into ties
+const compareDescending = (currentValue, nextValue) => {
+    if (currentValue >= nextValue) return 'correct';
+    return nextValue <= currentValue * (1 + RANKING_TOLERANCE) ? 'tie' : 'incorrect';
+};
+
+// Whether an article's publication window overlaps the given UTC day
+const isInDayBucket = (article, day) => {
+    const dayStart = Date.parse(`${day}T00:00:00Z`);
+    const published = new Date(article.timestamp).getTime();
+    return published >= dayStart && published - (article.timestampPrecision || 0) < dayStart + 24 * 60 * 60 * 1000;
+};
+
+// Compare two consecutive articles under a listing's ordering rule: 'correct', 'tie' or 'incorrect'
+const compareListingOrder = (current, next, listing = NEWEST_FIRST) => {
+    switch (listing.ordering) {
+      case 'rank-by-score':
+        // Job ads are slotted into ranked listings by hand
+        if (current.type === 'job' || next.type === 'job') return 'tie';
+        return compareDescending(getRankingScore(current), getRankingScore(next));
+      case 'points-descending':
+        return compareDescending(current.score || 0, next.score || 0);
+      case 'date-bucketed':
+        if (!isInDayBucket(current, listing.day) || !isInDayBucket(next, listing.day)) return 'incorrect';
+        return compareDescending(current.score || 0, next.score || 0);
+      default:
+        return comparePublicationOrder(current, next);
+    }
+};
+
+// Why a pair broke its listing's ordering rule, for anomaly reports
+const describeOrderingError = (current, next, position, listing = NEWEST_FIRST) => {
+    switch (listing.ordering) {
+      case 'rank-by-score':
+        return `Article ${position} ranks above article ${position + 1} with a lower rank score (${getRankingScore(current).toFixed(2)} vs ${getRankingScore(next).toFixed(2)})`;
+      case 'points-descending':
+        return `Article ${position} ranks above article ${position + 1} with fewer points (${current.score || 0} vs ${next.score || 0})`;
+      case 'date-bucketed':
+        return [current, next].some(article => !isInDayBucket(article, listing.day))
+          ? `Article ${isInDayBucket(current, listing.day) ? position + 1 : position} was not posted on ${listing.day}`
+          : `Article ${position} ranks above article ${position + 1} with fewer points (${current.score || 0} vs ${next.score || 0})`;
+      default:
+        return `Article ${position} is older than article ${position + 1}`;
+    }
+};
+
+// Calculate sorting accuracy under the listing's ordering rule with detailed statistics
+const calculateSortingAccuracy = (articles, listing = NEWEST_FIRST) => {
     if (articles.length < 2) {
       return {
         accuracy: 100,
         totalPairs: 0,
         correctPairs: 0,
+        tiedPairs: 0,
         incorrectPairs: 0,
         errorRate: 0
       };
     }
 
     let correctPairs = 0;
+    let tiedPairs = 0;
     let incorrectPairs = 0;
     const totalPairs = articles.length - 1;
 
@@ -22,20 +94,25 @@ const calculateSortingAccuracy = (articles) => {
       const next = articles[i + 1];
 
       if (current.timestamp && next.timestamp) {
-        if (current.timestamp >= next.timestamp) {
+        const order = compareListingOrder(current, next, listing);
+        if (order === 'correct') {
           correctPairs++;
+        } else if (order === 'tie') {
+          tiedPairs++;
         } else {
           incorrectPairs++;
         }
       }
     }
 
-    const accuracy = totalPairs > 0 ? (correctPairs / totalPairs) * 100 : 100;
+    // Ties are within measurement error, so they don't count against the ordering
+    const accuracy = totalPairs > 0 ? ((correctPairs + tiedPairs) / totalPairs) * 100 : 100;
 
     return {
       accuracy: parseFloat(accuracy.toFixed(2)),
       totalPairs,
       correctPairs,
+      tiedPairs,
       incorrectPairs,
       errorRate: parseFloat(((incorrectPairs / totalPairs) * 100).toFixed(2))
     };
@@ -100,8 +177,10 @@ const analyzeTimestampDistribution = (articles) => {
     };
 };
 
-// Detect sorting anomalies and patterns
-const detectSortingAnomalies = (articles) => {
+// Detect sorting anomalies and patterns. Time gaps and duplicate times are only
+// anomalies on time-ordered listings; ranked listings mix ages by design.
+const detectSortingAnomalies = (articles, listing = NEWEST_FIRST) => {
+    const isTimeOrdered = listing.ordering === 'time-descending';
     const anomalies = [];
     const patterns = {
       consecutiveErrors: 0,
@@ -123,14 +202,14 @@ const detectSortingAnomalies = (articles) => {
       const nextMoment = moment(next.timestamp);
       const timeDiffMinutes = currentMoment.diff(nextMoment, 'minutes');
 
-      // Check for sorting errors
-      if (timeDiffMinutes < 0) {
+      // Check for sorting errors (pairs inside each other's precision window are ties)
+      if (compareListingOrder(current, next, listing) === 'incorrect') {
         consecutiveErrorCount++;
         anomalies.push({
           type: 'sorting_error',
           position: i,
-          description: `Article ${i} is older than article ${i + 1}`,
-          timeDifference: Math.abs(timeDiffMinutes),
+          description: describeOrderingError(current, next, i, listing),
+          timeDifference: parseFloat(Math.abs(currentMoment.diff(nextMoment, 'minutes', true)).toFixed(1)),
           currentTitle: current.title,
           nextTitle: next.title
         });
@@ -141,6 +220,8 @@ const detectSortingAnomalies = (articles) => {
         }
       }
 
+      if (!isTimeOrdered) continue;
+
       // Check for large time jumps (might indicate missing articles)
       if (timeDiffMinutes > 60) { // More than 1 hour difference
         patterns.largeTimeJumps++;
@@ -192,12 +273,45 @@ const validateArticleData = (articles) => {
       missingTitle: 0,
       missingTimestamp: 0,
       missingAuthor: 0,
-      missingScore: 0
+      missingScore: 0,
+      missingRank: 0,
+      byType: { story: 0, show: 0, ask: 0, job: 0 },
+      withComments: 0,
+      dead: 0,
+      flagged: 0
     };
 
     articles.forEach((article, index) => {
       let isComplete = true;
 
+      if (article.type) {
+        statistics.byType[article.type] = (statistics.byType[article.type] || 0) + 1;
+      }
+      if (article.commentCount > 0) {
+        statistics.withComments++;
+      }
+
+      if (article.rank === null || article.rank === undefined) {
+        statistics.missingRank++;
+        issues.push({
+          position: index,
+          type: 'missing_rank',
+          severity: 'low',
+          message: 'Article missing visible rank number'
+        });
+      }
+
+      if (article.isDead || article.isFlagged) {
+        if (article.isDead) statistics.dead++;
+        if (article.isFlagged) statistics.flagged++;
+        issues.push({
+          position: index,
+          type: 'moderated_article',
+          severity: 'low',
+          message: `Article is ${[article.isDead && 'dead', article.isFlagged && 'flagged'].filter(Boolean).join(' and ')}`
+        });
+      }
+
       if (!article.title || article.title.trim() === '') {
         statistics.missingTitle++;
         isComplete = false;
@@ -220,7 +334,8 @@ const validateArticleData = (articles) => {
         });
       }
 
-      if (!article.author) {
+      // Job posts have no author or score by design
+      if (!article.author && !article.isJob) {
         statistics.missingAuthor++;
         issues.push({
           position: index,
@@ -230,7 +345,7 @@ const validateArticleData = (articles) => {
         });
       }
 
-      if (article.score === null || article.score === undefined) {
+      if ((article.score === null || article.score === undefined) && !article.isJob) {
         statistics.missingScore++;
         issues.push({
           position: index,
@@ -252,6 +367,183 @@ const validateArticleData = (articles) => {
     };
 };
 
+// Validate a discussion page: the listing's comment count against the rendered tree, that
+// each reply sits one level under the comment it names as parent, and that no comment
+// predates what it replies to (allowing for each timestamp's precision window)
+const validateCommentThread = (thread, listingCommentCount = null) => {
+    const { story, comments } = thread;
+    const issues = [];
+    const visibleComments = comments.filter(comment => !comment.isDeleted);
+    const byId = new Map(comments.map(comment => [comment.id, comment]));
+    const storyId = String(story.id || thread.itemId);
+
+    // HN's "N comments" counts visible descendants; deleted placeholders stay in the tree
+    [['listing', listingCommentCount], ['item page', story.commentCount]]
+      .filter(([, count]) => count !== null && count !== undefined)
+      .forEach(([source, count]) => {
+        if (count !== visibleComments.length) {
+          issues.push({
+            type: 'comment_count_mismatch',
+            severity: 'medium',
+            message: `${source} shows ${count} comments but ${visibleComments.length} are rendered`
+          });
+        }
+      });
+
+    // Open ancestors by depth while walking the tree in document order
+    const ancestors = [];
+    comments.forEach((comment, index) => {
+      const previousDepth = index > 0 ? comments[index - 1].depth : -1;
+
+      if (!Number.isInteger(comment.depth) || comment.depth < 0) {
+        issues.push({
+          type: 'nesting_error',
+          severity: 'high',
+          commentId: comment.id,
+          message: `Comment ${comment.id} has no readable indent`
+        });
+        return;
+      }
+
+      if (comment.depth > previousDepth + 1) {
+        issues.push({
+          type: 'nesting_error',
+          severity: 'high',
+          commentId: comment.id,
+          message: index === 0
+            ? `First comment ${comment.id} starts at depth ${comment.depth} instead of 0`
+            : `Comment ${comment.id} jumps from depth ${previousDepth} to ${comment.depth}`
+        });
+      }
+
+      ancestors.length = comment.depth;
+      const expectedParentId = comment.depth === 0 ? storyId : ancestors[comment.depth - 1]?.id;
+      ancestors.push(comment);
+
+      if (comment.parentId && expectedParentId && comment.parentId !== expectedParentId) {
+        issues.push({
+          type: 'nesting_error',
+          severity: 'high',
+          commentId: comment.id,
+          message: `Comment ${comment.id} links parent ${comment.parentId} but is nested under ${expectedParentId}`
+        });
+      }
+
+      // Replies can't be older than the story or the comment they answer
+      const parent = comment.depth === 0 ? story : byId.get(comment.parentId || expectedParentId);
+      if (comment.timestamp && parent?.timestamp &&
+          comparePublicationOrder(comment, parent) === 'incorrect') {
+        issues.push({
+          type: 'implausible_age',
+          severity: 'medium',
+          commentId: comment.id,
+          message: `Comment ${comment.id} (${comment.timestampText}) is older than its ${comment.depth === 0 ? 'story' : 'parent comment'} (${parent.timestampText})`
+        });
+      }
+    });
+
+    return {
+      itemId: thread.itemId,
+      url: thread.url,
+      title: story.title,
+      listingCommentCount,
+      storyCommentCount: story.commentCount,
+      renderedComments: comments.length,
+      visibleComments: visibleComments.length,
+      maxDepth: comments.reduce((max, comment) => Math.max(max, comment.depth || 0), 0),
+      authors: new Set(visibleComments.map(comment => comment.author).filter(Boolean)).size,
+      loadTime: thread.loadTime,
+      issues,
+      valid: issues.length === 0
+    };
+};
+
+// Totals across the discussions checked in one run
+const summarizeCommentValidation = (threads) => {
+    const countIssues = (type) => threads.reduce(
+      (sum, thread) => sum + (thread.issues || []).filter(issue => issue.type === type).length, 0
+    );
+
+    return {
+      threadsChecked: threads.length,
+      validThreads: threads.filter(thread => thread.valid).length,
+      failedThreads: threads.filter(thread => thread.error).length,
+      totalComments: threads.reduce((sum, thread) => sum + (thread.renderedComments || 0), 0),
+      maxDepth: threads.reduce((max, thread) => Math.max(max, thread.maxDepth || 0), 0),
+      countMismatches: countIssues('comment_count_mismatch'),
+      nestingErrors: countIssues('nesting_error'),
+      implausibleAges: countIssues('implausible_age')
+    };
+};
+
+// Validate an author against the stories we saw them submit: the profile exists, the account
+// was created before each story (within the created date's precision) and submitted?id= lists it
+const validateUserProfile = (user, seenArticles) => {
+    const issues = [];
+    const submitted = new Set((user.submittedIds || []).map(String));
+
+    if (!user.exists) {
+      issues.push({
+        type: 'user_missing',
+        severity: 'high',
+        message: `Profile for ${user.id} not found (${user.reason || 'no profile'})`
+      });
+    }
+
+    seenArticles.forEach(article => {
+      if (user.exists && user.created && article.timestamp) {
+        const createdEarliest = new Date(user.created).getTime() - (user.createdPrecision || 0);
+        if (createdEarliest > new Date(article.timestamp).getTime()) {
+          issues.push({
+            type: 'created_after_submission',
+            severity: 'high',
+            articleId: article.id,
+            message: `${user.id} was created ${user.createdText || user.created} but submitted ${article.id} (${article.timestampText}) earlier`
+          });
+        }
+      }
+
+      if (user.exists && !submitted.has(String(article.id))) {
+        issues.push({
+          type: 'missing_submission',
+          severity: 'medium',
+          articleId: article.id,
+          message: `submitted?id=${user.id} does not list story ${article.id}`
+        });
+      }
+    });
+
+    return {
+      userId: user.id,
+      url: user.url,
+      exists: user.exists,
+      created: user.created,
+      createdPrecision: user.createdPrecision,
+      createdText: user.createdText,
+      karma: user.karma,
+      about: user.about,
+      seenArticleIds: seenArticles.map(article => article.id),
+      submittedIds: user.submittedIds || [],
+      loadTime: user.loadTime,
+      issues,
+      valid: issues.length === 0
+    };
+};
+
+// Totals across the author profiles checked in one run
+const summarizeUserValidation = (users) => ({
+    usersChecked: users.length,
+    validUsers: users.filter(user => user.valid).length,
+    failedUsers: users.filter(user => user.error).length,
+    missingUsers: users.filter(user => user.exists === false).length,
+    createdAfterSubmission: users.reduce(
+      (sum, user) => sum + (user.issues || []).filter(issue => issue.type === 'created_after_submission').length, 0
+    ),
+    missingSubmissions: users.reduce(
+      (sum, user) => sum + (user.issues || []).filter(issue => issue.type === 'missing_submission').length, 0
+    )
+});
+
 // Custom assertion functions for testing
 const assertions = {
     assertSortingAccuracy(accuracy, threshold = 20) {
@@ -291,8 +583,15 @@ const assertions = {
     }
 };
 
+// Default pass/warn limits; the run config `thresholds` section overrides them
+const DEFAULT_THRESHOLDS = {
+  sortingAccuracy: 20,
+  performance: 5000,
+  dataCompleteness: 90
+};
+
 // Generate summary report
-const generateSummaryReport = (testResults) => {
+const generateSummaryReport = (testResults, thresholds = DEFAULT_THRESHOLDS) => {
     const { 
       articles, 
       sortingAccuracy, 
@@ -301,39 +600,42 @@ const generateSummaryReport = (testResults) => {
       dataValidation, 
       performance 
     } = testResults;
+    const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
 
     return {
       testSummary: {
         totalArticles: articles.length,
-        testStatus: sortingAccuracy.accuracy >= 20 ? 'PASS' : 'FAIL',
+        testStatus: sortingAccuracy.accuracy >= limits.sortingAccuracy ? 'PASS' : 'FAIL',
         executionTime: new Date().toISOString(),
         criticalIssues: anomalies.summary.criticalIssues
       },
       sorting: {
         accuracy: sortingAccuracy.accuracy,
-        status: sortingAccuracy.accuracy >= 20 ? 'PASS' : 'FAIL',
+        status: sortingAccuracy.accuracy >= limits.sortingAccuracy ? 'PASS' : 'FAIL',
         correctPairs: sortingAccuracy.correctPairs,
+        tiedPairs: sortingAccuracy.tiedPairs,
         incorrectPairs: sortingAccuracy.incorrectPairs
       },
       dataQuality: {
         completeness: dataValidation.completenessRatio,
-        status: dataValidation.completenessRatio >= 90 ? 'PASS' : 'WARN',
+        status: dataValidation.completenessRatio >= limits.dataCompleteness ? 'PASS' : 'WARN',
         issues: dataValidation.issues.length
       },
       performance: {
         loadTime: performance.loadTime,
-        status: performance.loadTime < 5000 ? 'PASS' : 'WARN'
+        status: performance.loadTime < limits.performance ? 'PASS' : 'WARN'
       },
-      recommendations: generateRecommendations(testResults)
+      recommendations: generateRecommendations(testResults, limits)
     };
   }
 
   // Generate recommendations based on test results
-const generateRecommendations = (testResults) => {
+const generateRecommendations = (testResults, thresholds = DEFAULT_THRESHOLDS) => {
     const recommendations = [];
+    const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
     const { sortingAccuracy, anomalies, dataValidation, performance } = testResults;
 
-    if (sortingAccuracy.accuracy < 20) {
+    if (sortingAccuracy.accuracy < limits.sortingAccuracy) {
       recommendations.push({
         type: 'critical',
         message: `Sorting accuracy is ${sortingAccuracy.accuracy}% - investigate sorting algorithm`,
@@ -355,7 +657,7 @@ const generateRecommendations = (testResults) => {
       });
     }
 
-    if (dataValidation.completenessRatio < 90) {
+    if (dataValidation.completenessRatio < limits.dataCompleteness) {
       recommendations.push({
         type: 'warning',
         message: `Data completeness is ${dataValidation.completenessRatio.toFixed(1)}% - check data extraction logic`,
@@ -363,7 +665,31 @@ const generateRecommendations = (testResults) => {
       });
     }
 
-    if (performance.loadTime > 5000) {
+    const commentSummary = testResults.comments?.summary;
+    if (commentSummary && commentSummary.validThreads < commentSummary.threadsChecked) {
+      recommendations.push({
+        type: 'warning',
+        message: `${commentSummary.threadsChecked - commentSummary.validThreads} of ${commentSummary.threadsChecked} comment threads disagree with the listing or are malformed - see the Comments section`,
+        priority: 'medium'
+      });
+    }
+
+    const userSummary = testResults.users?.summary;
+    if (userSummary && (userSummary.missingUsers > 0 || userSummary.createdAfterSubmission > 0)) {
+      recommendations.push({
+        type: 'critical',
+        message: `${userSummary.missingUsers} missing author profiles and ${userSummary.createdAfterSubmission} stories older than their author's account - see the Authors section`,
+        priority: 'high'
+      });
+    } else if (userSummary && userSummary.missingSubmissions > 0) {
+      recommendations.push({
+        type: 'warning',
+        message: `${userSummary.missingSubmissions} stories are missing from their author's submitted?id= page - see the Authors section`,
+        priority: 'medium'
+      });
+    }
+
+    if (performance.loadTime > limits.performance) {
       recommendations.push({
         type: 'performance',
         message: `Page load time ${performance.loadTime}ms is slow - consider optimization`,
@@ -455,10 +781,17 @@ const calculateStandardDeviation = (values) => {
   };
 
 module.exports = {
+  comparePublicationOrder,
+  compareListingOrder,
+  getRankingScore,
   calculateSortingAccuracy,
   analyzeTimestampDistribution,
   detectSortingAnomalies,
   validateArticleData,
+  validateCommentThread,
+  summarizeCommentValidation,
+  validateUserProfile,
+  summarizeUserValidation,
   assertions,
   generateSummaryReport,
   generateRecommendations,